@@ -1,6 +1,8 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
+const path = require('path');
+
 /**
  * Configuration for GitHub Developer Contribution Tracker
  * Uses environment variables from .env file for security
@@ -40,6 +42,129 @@ module.exports = {
         
         // Show repository breakdown (multi repo only)
         showRepositoryBreakdown: process.env.SHOW_BREAKDOWN !== 'false'
+    },
+
+    tracking: {
+        // Count commits from GraphQL batch totals (100 per request) instead of one REST call each.
+        // Only used with DEFAULT_EXCLUDES=false and no path rules or components: languages and
+        // test vs production lines need per-file counts, and are left unclassified without them
+        useGraphQL: process.env.USE_GRAPHQL === 'true',
+
+        // Retries per request on rate limits (403/429) and server errors (5xx)
+        maxRetries: parseInt(process.env.MAX_RETRIES || '5'),
+
+        // Longest rate limit reset (minutes) to sleep through before failing the run
+        maxRateLimitWait: parseInt(process.env.MAX_RATE_LIMIT_WAIT || '15'),
+
+        // Maximum parallel GitHub requests across repositories, branches and commits
+        maxConcurrency: parseInt(process.env.MAX_CONCURRENCY || '8'),
+
+        // Keep commits and their stats in a local store and only download new ones
+        commitStore: process.env.COMMIT_STORE !== 'false',
+
+        // Append-only JSON Lines file backing the commit store
+        commitStorePath: process.env.COMMIT_STORE_PATH || path.join(__dirname, '..', 'data', 'commit-store.jsonl'),
+
+        // Data source: 'api' (GitHub REST/GraphQL) or 'git' (local mirrors, no API quota)
+        backend: process.env.DATA_SOURCE || 'api',
+
+        // Where local git mirrors are cloned when DATA_SOURCE=git
+        gitMirrorDir: process.env.GIT_MIRROR_DIR || path.join(__dirname, '..', 'data', 'mirrors'),
+
+        // Only files matching these globs count towards lines (comma-separated, empty = all files)
+        includePaths: process.env.INCLUDE_PATHS
+            ? process.env.INCLUDE_PATHS.split(',').map(p => p.trim())
+            : [],
+
+        // Files matching these globs never count towards lines (added to the defaults)
+        excludePaths: process.env.EXCLUDE_PATHS
+            ? process.env.EXCLUDE_PATHS.split(',').map(p => p.trim())
+            : [],
+
+        // Skip lockfiles, node_modules, vendor, dist/build output, minified assets and snapshots
+        defaultExcludes: process.env.DEFAULT_EXCLUDES !== 'false',
+
+        // git .mailmap applied to commit names/emails before resolving logins
+        mailmapPath: process.env.MAILMAP_PATH || path.join(__dirname, '..', '.mailmap'),
+
+        // JSON alias file mapping extra emails/names/logins to one login: { "login": ["email", "name"] }
+        aliasesPath: process.env.ALIASES_PATH || path.join(__dirname, 'aliases.json'),
+
+        // Extra bot/service accounts (comma-separated logins, names or emails, * wildcards)
+        // "[bot]" accounts, type: Bot and common bots (dependabot, renovate, ...) are always detected
+        botAccounts: process.env.BOT_ACCOUNTS
+            ? process.env.BOT_ACCOUNTS.split(',').map(b => b.trim())
+            : [],
+
+        // List bot activity in a separate section instead of dropping it
+        reportBots: process.env.REPORT_BOTS === 'true',
+
+        // Credit for Co-authored-by trailers: full (everyone gets all lines), split (lines divided evenly)
+        // or author (commit author only)
+        coAuthorCredit: process.env.CO_AUTHOR_CREDIT || 'full',
+
+        // Branches to walk: all, default (default branch only) or protected
+        branchPolicy: process.env.BRANCH_POLICY || 'all',
+
+        // Branch globs to keep / skip (comma-separated, e.g. release/* or wip/**)
+        branchInclude: process.env.BRANCH_INCLUDE
+            ? process.env.BRANCH_INCLUDE.split(',').map(b => b.trim())
+            : [],
+        branchExclude: process.env.BRANCH_EXCLUDE
+            ? process.env.BRANCH_EXCLUDE.split(',').map(b => b.trim())
+            : [],
+
+        // Per-repository branch rules: { "repo": { "policy": "default", "include": [], "exclude": [] } }
+        branchRulesPath: process.env.BRANCH_RULES_PATH || path.join(__dirname, 'branches.json'),
+
+        // Count cherry-picked / rebased copies of a change once (same author, message and patch)
+        dedupeCommits: process.env.DEDUPE_COMMITS !== 'false',
+
+        // Merge commits: skip, commits-only (counted without lines) or full (all lines of the merged diff)
+        mergePolicy: process.env.MERGE_POLICY || 'commits-only',
+
+        // IANA timezone for day/week/month boundaries, file names and printed dates (e.g. Asia/Kolkata)
+        // Empty = the server's own timezone
+        timeZone: process.env.REPORT_TZ || null,
+
+        // Sprint cadence: first day of any sprint (YYYY-MM-DD) and sprint length in days
+        sprintStart: process.env.SPRINT_START || null,
+        sprintLength: parseInt(process.env.SPRINT_LENGTH || '14'),
+
+        // Explicit sprint list, used instead of the cadence when the file exists:
+        // [{ "name": "Sprint 42", "start": "2024-10-07", "end": "2024-10-18" }]
+        sprintsPath: process.env.SPRINTS_PATH || path.join(__dirname, 'sprints.json'),
+
+        // Pull requests opened/merged/closed per author, with time to first review and to merge
+        // (read from the GitHub API, also with DATA_SOURCE=git)
+        pullRequests: process.env.TRACK_PULL_REQUESTS !== 'false',
+
+        // Issues opened/closed/commented on per person (read from the GitHub API)
+        issues: process.env.TRACK_ISSUES !== 'false',
+
+        // Ask GitHub which languages each repository uses, to settle shared extensions (.h, .m, ...)
+        repoLanguages: process.env.REPO_LANGUAGES === 'true',
+
+        // Globs marking test files (comma-separated, replace the defaults: __tests__/, test/, *.spec.*, *.test.*, ...)
+        testPaths: process.env.TEST_PATHS
+            ? process.env.TEST_PATHS.split(',').map(p => p.trim())
+            : [],
+
+        // Monorepo components: path prefixes for every repository (comma-separated, `*` = one directory,
+        // optionally named: "packages/*,web=apps/web")
+        components: process.env.COMPONENTS
+            ? process.env.COMPONENTS.split(',').map(c => c.trim())
+            : [],
+
+        // JSON file with per-repository components: { "repo-name": ["packages/*", "web=apps/web"] }
+        componentsPath: process.env.COMPONENTS_PATH || path.join(__dirname, 'components.json'),
+
+        // Add the workspace packages each repository declares (package.json, pnpm-workspace.yaml, lerna.json)
+        detectWorkspaces: process.env.DETECT_WORKSPACES === 'true',
+
+        // Comma-separated regular expressions matching ticket IDs in commit messages
+        // Empty = Jira keys (PROJ-123) and GitHub issues (#456)
+        ticketPatterns: process.env.TICKET_PATTERNS || null
     }
 };
 
@@ -0,0 +1,58 @@
+/**
+ * Bot and service-account detection
+ * Bots are recognised by the GitHub `[bot]` login suffix, `type: Bot` accounts
+ * and a configurable deny list of logins, names or emails (`*` wildcards allowed).
+ */
+
+const DEFAULT_BOT_ACCOUNTS = [
+    'dependabot*',
+    'renovate*',
+    'github-actions*',
+    'greenkeeper*',
+    'snyk-bot',
+    'imgbot*',
+    'semantic-release-bot'
+];
+
+function patternToRegExp(pattern) {
+    const source = pattern.trim().toLowerCase()
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+    return new RegExp(`^${source}$`);
+}
+
+class BotFilter {
+    /**
+     * @param options { botAccounts, reportBots }
+     *   botAccounts: extra logins/names/emails to treat as bots
+     *   reportBots:  keep bot activity in a separate section instead of dropping it
+     */
+    constructor(options = {}) {
+        this.denyList = [...DEFAULT_BOT_ACCOUNTS, ...(options.botAccounts || [])].map(patternToRegExp);
+        this.reportBots = !!options.reportBots;
+    }
+
+    /**
+     * Whether an account or commit author is a bot ({ login, type, name, email }, all optional)
+     */
+    isBot({ login, type, name, email } = {}) {
+        if (type === 'Bot') {
+            return true;
+        }
+
+        const identities = [login, name, email]
+            .filter(Boolean)
+            .map(value => value.toLowerCase());
+
+        // "dependabot[bot]", and "49699333+dependabot[bot]@users.noreply.github.com"
+        if (identities.some(value => value.endsWith('[bot]') || value.includes('[bot]@'))) {
+            return true;
+        }
+
+        return identities.some(value => this.denyList.some(re => re.test(value)));
+    }
+}
+
+BotFilter.DEFAULT_BOT_ACCOUNTS = DEFAULT_BOT_ACCOUNTS;
+
+module.exports = BotFilter;
@@ -0,0 +1,143 @@
+/**
+ * Branch selection rules
+ * Decides which branches of a repository are walked for commits.
+ *
+ * - policy:  'all' (every branch), 'default' (default branch only) or 'protected'
+ * - include: branch globs to keep (empty = keep all the policy selected)
+ * - exclude: branch globs to drop
+ *
+ * Globs: `*` matches within a path segment (release/*), `**` across segments.
+ * Per-repository overrides come from a JSON file:
+ *   { "repo-name": { "policy": "default", "include": ["release/*"], "exclude": [] } }
+ */
+
+const fs = require('fs').promises;
+
+const POLICIES = ['all', 'default', 'protected'];
+
+function branchGlobToRegExp(pattern) {
+    const source = pattern.trim()
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*\*/g, '\u0000')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\u0000/g, '.*');
+    return new RegExp(`^${source}$`);
+}
+
+class BranchPolicy {
+    /**
+     * @param options { branchPolicy, branchInclude, branchExclude, branchRulesPath }
+     */
+    constructor(options = {}) {
+        this.defaults = {
+            policy: options.branchPolicy || 'all',
+            include: options.branchInclude || [],
+            exclude: options.branchExclude || []
+        };
+        this.rulesPath = options.branchRulesPath || null;
+        this.overrides = {};
+        this.loading = null;
+    }
+
+    /**
+     * Load per-repository overrides (only once, concurrent callers share the same promise)
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this.readRules();
+        }
+        return this.loading;
+    }
+
+    async readRules() {
+        if (!this.rulesPath) {
+            return;
+        }
+
+        try {
+            this.overrides = JSON.parse(await fs.readFile(this.rulesPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw new Error(`Invalid branch rules file ${this.rulesPath}: ${error.message}`);
+        }
+
+        for (const [repo, rules] of Object.entries(this.overrides)) {
+            if (rules.policy && !POLICIES.includes(rules.policy)) {
+                throw new Error(`Invalid branch policy "${rules.policy}" for ${repo}. Use ${POLICIES.join(', ')}`);
+            }
+        }
+    }
+
+    /**
+     * Effective { policy, include, exclude } for a repository
+     */
+    forRepo(repoName) {
+        return { ...this.defaults, ...(this.overrides[repoName] || {}) };
+    }
+
+    /**
+     * Whether any repository has its own rules
+     */
+    hasOverrides() {
+        return Object.keys(this.overrides).length > 0;
+    }
+
+    /**
+     * Whether the rules select every branch (nothing to filter)
+     */
+    static selectsAll(rules) {
+        return rules.policy === 'all' && rules.include.length === 0 && rules.exclude.length === 0;
+    }
+
+    /**
+     * Filter branches ({ name, protected }) by the rules
+     */
+    static select(branches, rules, defaultBranch = null) {
+        const include = rules.include.map(branchGlobToRegExp);
+        const exclude = rules.exclude.map(branchGlobToRegExp);
+
+        return branches.filter(branch => {
+            if (rules.policy === 'default' && branch.name !== defaultBranch) {
+                return false;
+            }
+            if (rules.policy === 'protected' && !branch.protected) {
+                return false;
+            }
+            if (include.length > 0 && !include.some(re => re.test(branch.name))) {
+                return false;
+            }
+            return !exclude.some(re => re.test(branch.name));
+        });
+    }
+
+    /**
+     * Short description for report headers, e.g. "DEFAULT BRANCH: main" or "ALL BRANCHES, excluding: wip/*"
+     */
+    static describe(rules, defaultBranch = null) {
+        let text;
+        switch (rules.policy) {
+            case 'default':
+                text = defaultBranch ? `DEFAULT BRANCH: ${defaultBranch}` : 'DEFAULT BRANCH';
+                break;
+            case 'protected':
+                text = 'PROTECTED BRANCHES';
+                break;
+            default:
+                text = 'ALL BRANCHES';
+        }
+
+        if (rules.include.length > 0) {
+            text += `, only: ${rules.include.join(', ')}`;
+        }
+        if (rules.exclude.length > 0) {
+            text += `, excluding: ${rules.exclude.join(', ')}`;
+        }
+        return text;
+    }
+}
+
+BranchPolicy.POLICIES = POLICIES;
+
+module.exports = BranchPolicy;
@@ -0,0 +1,120 @@
+/**
+ * Content-based duplicate detection for cherry-picked and rebased commits
+ *
+ * Two commits are the same logical change when they have the same author, the same
+ * message (ignoring "(cherry picked from commit ...)" lines) and the same patch id.
+ * The patch id is `git patch-id --stable` for local git, or a hash of the added and
+ * removed lines per file for the REST API.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash of a commit's diff from REST `files[]` (filename + added/removed lines)
+ * Context lines, hunk headers and line numbers are ignored, so the same change
+ * applied at a different place in the file hashes the same. Files without a
+ * patch (binary or too large) contribute their line counts instead.
+ */
+function hashPatch(files) {
+    const hash = crypto.createHash('sha1');
+
+    [...files]
+        .sort((a, b) => a.filename.localeCompare(b.filename))
+        .forEach(file => {
+            hash.update(`${file.filename}\0`);
+
+            if (file.patch === undefined) {
+                hash.update(`${file.additions || 0}:${file.deletions || 0}\0`);
+                return;
+            }
+
+            file.patch.split('\n')
+                .filter(line => (line.startsWith('+') || line.startsWith('-')))
+                .forEach(line => hash.update(`${line.replace(/\s+$/, '')}\n`));
+        });
+
+    return hash.digest('hex');
+}
+
+/**
+ * Message without cherry-pick notes and with whitespace collapsed
+ */
+function normalizeMessage(message) {
+    return (message || '')
+        .replace(/^\s*\(cherry picked from commit [0-9a-f]+\)\s*$/gim, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Author + message key; only commits sharing one can be duplicates of each other
+ */
+function getChangeSignature(commit) {
+    const author = commit.commit.author;
+    return `${(author.email || author.name || '').toLowerCase()}\n${normalizeMessage(commit.commit.message)}`;
+}
+
+/**
+ * Groups of two or more non-merge commits sharing a change signature
+ */
+function findCandidateGroups(commits) {
+    const groups = new Map();
+
+    for (const commit of commits) {
+        // Merge commits carry other commits' changes, they are handled by the merge policy
+        if (commit.parents && commit.parents.length > 1) {
+            continue;
+        }
+
+        const signature = getChangeSignature(commit);
+        if (!groups.has(signature)) {
+            groups.set(signature, []);
+        }
+        groups.get(signature).push(commit);
+    }
+
+    return Array.from(groups.values()).filter(group => group.length > 1);
+}
+
+function commitOrder(commit) {
+    return new Date((commit.commit.committer || commit.commit.author).date).getTime();
+}
+
+function isCherryPick(commit) {
+    return /\(cherry picked from commit [0-9a-f]+\)/i.test(commit.commit.message || '') ? 1 : 0;
+}
+
+/**
+ * SHAs to drop: every copy of a change except the earliest committed one
+ * (on equal dates the copy without a cherry-pick note is kept)
+ * @param patchIds Map of SHA -> patch id for the candidate commits
+ */
+function findDuplicates(groups, patchIds) {
+    const duplicates = new Set();
+
+    for (const group of groups) {
+        const byPatch = new Map();
+
+        for (const commit of group) {
+            const patchId = patchIds.get(commit.sha);
+            if (!patchId) {
+                continue;
+            }
+            if (!byPatch.has(patchId)) {
+                byPatch.set(patchId, []);
+            }
+            byPatch.get(patchId).push(commit);
+        }
+
+        for (const copies of byPatch.values()) {
+            copies
+                .sort((a, b) => commitOrder(a) - commitOrder(b) || isCherryPick(a) - isCherryPick(b))
+                .slice(1)
+                .forEach(commit => duplicates.add(commit.sha));
+        }
+    }
+
+    return duplicates;
+}
+
+module.exports = { hashPatch, normalizeMessage, getChangeSignature, findCandidateGroups, findDuplicates };
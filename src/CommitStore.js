@@ -0,0 +1,238 @@
+/**
+ * Persistent local commit store for incremental sync
+ * Append-only JSON Lines file keyed by repository and SHA.
+ *
+ * Records (one JSON object per line, last write wins on load):
+ * - commit: slimmed commit listing data plus the branches it was seen on
+ * - stats:  additions/deletions for a commit, with per-file counts and patch id when fetched
+ *           (never change once computed)
+ * - cursor: per-branch sync state { headSha, from } meaning the store holds
+ *           every commit on that branch from `from` up to `headSha`
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Rewrite the file when it holds this many times more lines than live records
+const COMPACT_RATIO = 2;
+
+class CommitStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.commits = new Map(); // "org/repo@sha" -> { data, branches }
+        this.stats = new Map();   // "org/repo@sha" -> { additions, deletions, files, patchId }
+        this.cursors = new Map(); // "org/repo#branch" -> { headSha, from }
+        this.pending = [];
+        this.loading = null;
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Load the store from disk (only once, concurrent callers share the same promise)
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this.readFile();
+        }
+        return this.loading;
+    }
+
+    async readFile() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        let lineCount = 0;
+        for (const line of content.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            lineCount++;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                // Partially written line from an interrupted run
+                continue;
+            }
+
+            this.applyRecord(record);
+        }
+
+        const liveRecords = this.commits.size + this.stats.size + this.cursors.size;
+        if (lineCount > liveRecords * COMPACT_RATIO) {
+            await this.compact();
+        }
+
+        console.log(`💾 Commit store loaded: ${this.commits.size} commits, ${this.stats.size} with stats`);
+    }
+
+    applyRecord(record) {
+        switch (record.type) {
+            case 'commit':
+                this.commits.set(`${record.repo}@${record.sha}`, {
+                    data: record.data,
+                    branches: new Set(record.branches)
+                });
+                break;
+            case 'stats':
+                this.stats.set(`${record.repo}@${record.sha}`, record.stats);
+                break;
+            case 'cursor':
+                this.cursors.set(`${record.repo}#${record.branch}`, record.cursor);
+                break;
+        }
+    }
+
+    /**
+     * Keep only the fields analyzeCommits needs from a REST commit object
+     */
+    static slimCommit(commit) {
+        return {
+            sha: commit.sha,
+            commit: {
+                author: {
+                    name: commit.commit.author.name,
+                    email: commit.commit.author.email,
+                    date: commit.commit.author.date
+                },
+                committer: {
+                    date: commit.commit.committer ? commit.commit.committer.date : commit.commit.author.date
+                },
+                message: commit.commit.message
+            },
+            author: commit.author ? { login: commit.author.login, type: commit.author.type } : null,
+            parents: (commit.parents || []).map(p => ({ sha: p.sha }))
+        };
+    }
+
+    writeCommit(repo, sha) {
+        const entry = this.commits.get(`${repo}@${sha}`);
+        this.pending.push({ type: 'commit', repo, sha, data: entry.data, branches: Array.from(entry.branches) });
+    }
+
+    /**
+     * Record a commit as seen on a branch
+     */
+    addCommit(repo, commit, branch) {
+        const key = `${repo}@${commit.sha}`;
+        const existing = this.commits.get(key);
+
+        if (existing && existing.branches.has(branch)) {
+            return;
+        }
+
+        if (existing) {
+            existing.branches.add(branch);
+        } else {
+            this.commits.set(key, { data: CommitStore.slimCommit(commit), branches: new Set([branch]) });
+        }
+
+        this.writeCommit(repo, commit.sha);
+    }
+
+    /**
+     * Forget which commits belong to a branch (history was rewritten)
+     */
+    resetBranch(repo, branch) {
+        for (const [key, entry] of this.commits) {
+            if (key.startsWith(`${repo}@`) && entry.branches.delete(branch)) {
+                this.writeCommit(repo, entry.data.sha);
+            }
+        }
+        this.cursors.delete(`${repo}#${branch}`);
+    }
+
+    /**
+     * Commits on a branch whose commit date falls in [since, until]
+     */
+    getBranchCommits(repo, branch, since, until) {
+        const commits = [];
+
+        for (const [key, entry] of this.commits) {
+            if (!key.startsWith(`${repo}@`) || !entry.branches.has(branch)) {
+                continue;
+            }
+
+            const date = new Date(entry.data.commit.committer.date);
+            if (date >= since && date <= until) {
+                commits.push(entry.data);
+            }
+        }
+
+        // Newest first, like the commits API
+        return commits.sort((a, b) => new Date(b.commit.committer.date) - new Date(a.commit.committer.date));
+    }
+
+    getStats(repo, sha) {
+        return this.stats.get(`${repo}@${sha}`) || null;
+    }
+
+    setStats(repo, sha, stats) {
+        this.stats.set(`${repo}@${sha}`, stats);
+        this.pending.push({ type: 'stats', repo, sha, stats });
+    }
+
+    getCursor(repo, branch) {
+        return this.cursors.get(`${repo}#${branch}`) || null;
+    }
+
+    setCursor(repo, branch, cursor) {
+        this.cursors.set(`${repo}#${branch}`, cursor);
+        this.pending.push({ type: 'cursor', repo, branch, cursor });
+    }
+
+    /**
+     * Append pending records to disk (saves are serialized)
+     */
+    async save() {
+        const records = this.pending;
+        this.pending = [];
+
+        if (records.length === 0) {
+            return this.saving;
+        }
+
+        const chunk = records.map(r => JSON.stringify(r)).join('\n') + '\n';
+
+        this.saving = this.saving.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.appendFile(this.filePath, chunk);
+        });
+
+        return this.saving;
+    }
+
+    /**
+     * Rewrite the file with one line per live record
+     */
+    async compact() {
+        const lines = [];
+
+        for (const [key, entry] of this.commits) {
+            const [repo, sha] = key.split('@');
+            lines.push(JSON.stringify({ type: 'commit', repo, sha, data: entry.data, branches: Array.from(entry.branches) }));
+        }
+        for (const [key, stats] of this.stats) {
+            const [repo, sha] = key.split('@');
+            lines.push(JSON.stringify({ type: 'stats', repo, sha, stats }));
+        }
+        for (const [key, cursor] of this.cursors) {
+            const separator = key.indexOf('#');
+            lines.push(JSON.stringify({ type: 'cursor', repo: key.slice(0, separator), branch: key.slice(separator + 1), cursor }));
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tmpPath, lines.join('\n') + '\n');
+        await fs.rename(tmpPath, this.filePath);
+    }
+}
+
+module.exports = CommitStore;
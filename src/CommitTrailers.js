@@ -0,0 +1,27 @@
+/**
+ * Commit message trailer parsing
+ */
+
+/**
+ * Co-authors listed as `Co-authored-by: Name <email>` trailers
+ * Returns [{ name, email }] in message order, without duplicates.
+ */
+function parseCoAuthors(message) {
+    const coAuthors = [];
+    const seen = new Set();
+    const pattern = /^\s*co-authored-by:\s*(.*?)\s*<([^>]+)>\s*$/gim;
+
+    let match;
+    while ((match = pattern.exec(message || '')) !== null) {
+        const email = match[2].trim();
+        if (seen.has(email.toLowerCase())) {
+            continue;
+        }
+        seen.add(email.toLowerCase());
+        coAuthors.push({ name: match[1] || email, email });
+    }
+
+    return coAuthors;
+}
+
+module.exports = { parseCoAuthors };
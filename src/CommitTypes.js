@@ -0,0 +1,84 @@
+/**
+ * Work type classification from commit messages
+ *
+ * Conventional commits ("feat(api): ...", "fix!: ...") use their type, with common
+ * aliases folded in (perf -> refactor, build/ci/style -> chore, ...). Other messages
+ * are classified by keywords in the title, falling back to 'other'.
+ */
+
+const WORK_TYPES = ['feat', 'fix', 'refactor', 'chore', 'docs', 'test', 'other'];
+
+const CONVENTIONAL_TITLE = /^(\w+)(?:\([^)]*\))?!?:\s/;
+
+const TYPE_ALIASES = {
+    feat: 'feat',
+    feature: 'feat',
+    fix: 'fix',
+    bugfix: 'fix',
+    hotfix: 'fix',
+    refactor: 'refactor',
+    perf: 'refactor',
+    chore: 'chore',
+    build: 'chore',
+    ci: 'chore',
+    style: 'chore',
+    revert: 'chore',
+    release: 'chore',
+    deps: 'chore',
+    docs: 'docs',
+    doc: 'docs',
+    test: 'test',
+    tests: 'test'
+};
+
+// Checked in order: "Add tests for login" is test work, "Fix typo in docs" a fix
+const KEYWORDS = [
+    ['fix', /\b(fix(es|ed|ing)?|bug(s)?|hotfix|resolve[sd]?|repair(s|ed)?|crash(es)?|broken|regression)\b/],
+    ['test', /\b(tests?|specs?|testing|e2e|coverage|mocks?)\b/],
+    ['docs', /\b(readme|docs?|documentation|changelog|typos?|comments?)\b/],
+    ['refactor', /\b(refactor(s|ed|ing)?|clean ?up|restructure[sd]?|rename[sd]?|simplif(y|ies|ied)|reorgani[sz]e[sd]?|extract(s|ed)?|optimi[sz]e[sd]?)\b/],
+    ['chore', /\b(revert(s|ed)?|bump(s|ed)?|upgrade[sd]?|deps|dependenc(y|ies)|version|release|merge|config|lint|format(ting)?|chore|ci)\b/],
+    ['feat', /\b(add(s|ed|ing)?|implement(s|ed|ing)?|introduce[sd]?|feature|support(s)?|create[sd]?|new|enable[sd]?|allow(s)?)\b/]
+];
+
+/**
+ * One of WORK_TYPES for a commit message
+ */
+function classifyMessage(message) {
+    const title = (message || '').split('\n')[0].trim();
+
+    const conventional = title.match(CONVENTIONAL_TITLE);
+    if (conventional && TYPE_ALIASES[conventional[1].toLowerCase()]) {
+        return TYPE_ALIASES[conventional[1].toLowerCase()];
+    }
+
+    const lower = title.toLowerCase();
+    const match = KEYWORDS.find(([, pattern]) => pattern.test(lower));
+    return match ? match[0] : 'other';
+}
+
+/**
+ * Add one { type: count } map into another (in place)
+ */
+function addWorkTypes(target, counts) {
+    for (const [type, count] of Object.entries(counts || {})) {
+        target[type] = (target[type] || 0) + count;
+    }
+    return target;
+}
+
+/**
+ * Work type counts summed over developer stats
+ */
+function sumWorkTypes(stats) {
+    return Object.values(stats).reduce((total, data) => addWorkTypes(total, data.workTypes), {});
+}
+
+/**
+ * Counts in WORK_TYPES order, for table rows
+ */
+function workTypeColumns(counts) {
+    return WORK_TYPES.map(type => (counts && counts[type]) || 0);
+}
+
+module.exports = { WORK_TYPES, classifyMessage, addWorkTypes, sumWorkTypes, workTypeColumns };
@@ -0,0 +1,206 @@
+/**
+ * Components of a monorepo: the package or directory a changed file belongs to
+ *
+ * A component is a path prefix, optionally named ("web=apps/web"), where `*` stands for
+ * one directory ("packages/*" makes one component per package: packages/api, packages/ui, ...).
+ * Components come from:
+ * - COMPONENTS: prefixes used for every repository
+ * - a JSON file with per-repository prefixes (replace COMPONENTS for that repository):
+ *     { "repo-name": ["packages/*", "web=apps/web"] }
+ * - DETECT_WORKSPACES: the workspaces a repository declares in package.json,
+ *   pnpm-workspace.yaml or lerna.json
+ *
+ * The first matching prefix wins, configured ones before detected workspaces.
+ * Files outside every component count as "(root)".
+ */
+
+const fs = require('fs').promises;
+
+const ROOT_COMPONENT = '(root)';
+
+// Files declaring workspace packages, read from the repository's default branch
+const WORKSPACE_FILES = ['package.json', 'pnpm-workspace.yaml', 'lerna.json'];
+
+/**
+ * Split a list given as an array or a comma-separated string
+ */
+function toList(value) {
+    if (!value) {
+        return [];
+    }
+    const list = typeof value === 'string' ? value.split(',') : value;
+    return list.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Compile "prefix" or "name=prefix" into { name, pattern }
+ * A trailing "/" is dropped; `*` and `**` both match one directory name, so workspace
+ * globs like "packages/**" still give one component per package.
+ */
+function compileComponent(entry) {
+    const separator = entry.indexOf('=');
+    const name = separator >= 0 ? entry.slice(0, separator).trim() : null;
+    const prefix = (separator >= 0 ? entry.slice(separator + 1) : entry).trim()
+        .replace(/^\.?\//, '')
+        .replace(/\/+$/, '');
+
+    const source = prefix
+        .split('/')
+        .map(segment => segment
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*+/g, '[^/]+'))
+        .join('/');
+
+    return { name, pattern: new RegExp(`^(${source})/`) };
+}
+
+/**
+ * Workspace globs declared in package.json, pnpm-workspace.yaml and lerna.json
+ * @param files { filename: contents } (missing files left out)
+ */
+function parseWorkspaces(files) {
+    const globs = [];
+
+    if (files['package.json']) {
+        try {
+            const workspaces = JSON.parse(files['package.json']).workspaces;
+            globs.push(...(Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || []));
+        } catch (error) {
+            // Not valid JSON: no workspaces from this file
+        }
+    }
+
+    if (files['lerna.json']) {
+        try {
+            globs.push(...(JSON.parse(files['lerna.json']).packages || []));
+        } catch (error) {
+            // Not valid JSON: no workspaces from this file
+        }
+    }
+
+    if (files['pnpm-workspace.yaml']) {
+        // Only the "packages:" list is needed, a full YAML parser is not
+        let inPackages = false;
+        for (const line of files['pnpm-workspace.yaml'].split('\n')) {
+            if (/^packages:/.test(line)) {
+                inPackages = true;
+            } else if (/^\S/.test(line)) {
+                inPackages = false;
+            } else if (inPackages) {
+                const match = line.match(/^\s*-\s*['"]?([^'"#]+?)['"]?\s*(?:#.*)?$/);
+                if (match) {
+                    globs.push(match[1]);
+                }
+            }
+        }
+    }
+
+    // Exclusions ("!packages/legacy") only shrink the list, the remaining globs still match
+    return [...new Set(globs.filter(glob => typeof glob === 'string' && !glob.startsWith('!')))];
+}
+
+/**
+ * Developers of a component for table cells, most lines changed first,
+ * e.g. "alice +1200/-300, bob +80/-4 (+2 more)"
+ */
+function describeDevelopers(developers, limit = 3) {
+    const sorted = Object.entries(developers || {})
+        .sort(([, a], [, b]) => (b.additions + b.deletions) - (a.additions + a.deletions));
+
+    const shown = sorted.slice(0, limit).map(([dev, lines]) => `${dev} +${lines.additions}/-${lines.deletions}`);
+    return shown.join(', ') + (sorted.length > limit ? ` (+${sorted.length - limit} more)` : '');
+}
+
+class ComponentMap {
+    /**
+     * @param options { components, componentsPath, detectWorkspaces }
+     *   components:       path prefixes for every repository (list or comma-separated string)
+     *   componentsPath:   JSON file with per-repository prefixes
+     *   detectWorkspaces: add the workspace packages each repository declares
+     */
+    constructor(options = {}) {
+        this.defaults = toList(options.components);
+        this.componentsPath = options.componentsPath || null;
+        this.detectWorkspaces = !!options.detectWorkspaces;
+        this.overrides = {};
+        this.loading = null;
+    }
+
+    /**
+     * Load per-repository prefixes (only once, concurrent callers share the same promise)
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this.readComponents();
+        }
+        return this.loading;
+    }
+
+    async readComponents() {
+        if (!this.componentsPath) {
+            return;
+        }
+
+        try {
+            this.overrides = JSON.parse(await fs.readFile(this.componentsPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw new Error(`Invalid components file ${this.componentsPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Compiled components of a repository, configured prefixes first
+     * @param workspaces Workspace globs detected in the repository (see parseWorkspaces)
+     */
+    forRepo(repoName, workspaces = []) {
+        const configured = Object.prototype.hasOwnProperty.call(this.overrides, repoName)
+            ? toList(this.overrides[repoName])
+            : this.defaults;
+        return [...configured, ...workspaces].map(compileComponent);
+    }
+
+    /**
+     * Component a file belongs to, "(root)" when no prefix matches
+     */
+    static componentOf(components, filename) {
+        for (const component of components) {
+            const match = component.pattern.exec(filename);
+            if (match) {
+                return component.name || match[1];
+            }
+        }
+        return ROOT_COMPONENT;
+    }
+
+    /**
+     * Components changed across developer stats:
+     * { component: { commits, additions, deletions, developers: { dev: { commits, additions, deletions } } } }
+     */
+    static summarize(stats) {
+        const components = {};
+
+        for (const [dev, data] of Object.entries(stats)) {
+            for (const [component, lines] of Object.entries(data.components || {})) {
+                if (!components[component]) {
+                    components[component] = { commits: 0, additions: 0, deletions: 0, developers: {} };
+                }
+                components[component].commits += lines.commits;
+                components[component].additions += lines.additions;
+                components[component].deletions += lines.deletions;
+                components[component].developers[dev] = { ...lines };
+            }
+        }
+
+        return components;
+    }
+}
+
+ComponentMap.ROOT_COMPONENT = ROOT_COMPONENT;
+ComponentMap.WORKSPACE_FILES = WORKSPACE_FILES;
+ComponentMap.parseWorkspaces = parseWorkspaces;
+ComponentMap.describeDevelopers = describeDevelopers;
+
+module.exports = ComponentMap;
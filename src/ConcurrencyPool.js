@@ -0,0 +1,66 @@
+/**
+ * Bounded concurrency helper shared by every fetch level (repositories, branches, commits)
+ *
+ * - run(task): executes a task once one of `limit` slots is free. GitHubClient
+ *   wraps every HTTP request in it, so requests in flight never exceed the limit
+ *   no matter how many levels fan out at once.
+ * - map(items, fn): runs fn over items with at most `limit` workers and keeps
+ *   result order. Nested maps are safe: workers do not hold request slots.
+ */
+
+class ConcurrencyPool {
+    constructor(limit = 8) {
+        this.limit = Math.max(1, limit || 1);
+        this.active = 0;
+        this.queue = [];
+    }
+
+    async run(task) {
+        await this.acquire();
+        try {
+            return await task();
+        } finally {
+            this.release();
+        }
+    }
+
+    acquire() {
+        if (this.active < this.limit) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.queue.push(resolve));
+    }
+
+    release() {
+        const next = this.queue.shift();
+        if (next) {
+            // Hand the slot straight to the next waiting task
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    async map(items, fn) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.limit, items.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+}
+
+module.exports = ConcurrencyPool;
@@ -0,0 +1,262 @@
+/**
+ * Rate-limit aware HTTP client for the GitHub API
+ * Shared by GitHubDevTracker and MultiRepoTracker so that every request in a run
+ * goes through the same retry/backoff logic and budget accounting.
+ *
+ * - Reads X-RateLimit-Remaining / X-RateLimit-Reset and Retry-After headers
+ * - Sleeps until reset on primary rate limits (403/429 with no budget left)
+ * - Backs off on secondary (abuse) limits and 5xx errors
+ * - Throws RateLimitError instead of letting callers publish partial data
+ * - Caps requests in flight at maxConcurrency (see ConcurrencyPool)
+ */
+
+const axios = require('axios');
+const ConcurrencyPool = require('./ConcurrencyPool');
+
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_MAX_WAIT_MINUTES = 15;
+const DEFAULT_MAX_CONCURRENCY = 8;
+const BASE_BACKOFF_MS = 1000;
+const SECONDARY_LIMIT_BACKOFF_MS = 60 * 1000;
+
+class RateLimitError extends Error {
+    constructor(message, resetAt = null) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.resetAt = resetAt;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header: delay-seconds or an HTTP date
+ * Returns null when the value is neither.
+ */
+function parseRetryAfter(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10) * 1000;
+    }
+
+    const date = Date.parse(text);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+class GitHubClient {
+    constructor(githubToken, options = {}) {
+        this.headers = {
+            'Authorization': `token ${githubToken}`,
+            'Accept': 'application/vnd.github.v3+json'
+        };
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_MAX_RETRIES;
+        this.maxWaitMs = (options.maxRateLimitWait !== undefined ? options.maxRateLimitWait : DEFAULT_MAX_WAIT_MINUTES) * 60 * 1000;
+
+        // Shared by repositories, branches and commits fan-out (trackers use pool.map)
+        this.pool = new ConcurrencyPool(options.maxConcurrency || DEFAULT_MAX_CONCURRENCY);
+
+        this.usage = {
+            requests: 0,
+            retries: 0,
+            waitedMs: 0,
+            resources: {} // core, graphql, search... -> { limit, remaining, reset, used }
+        };
+    }
+
+    async get(url, config = {}) {
+        return this.request({ ...config, method: 'get', url });
+    }
+
+    async post(url, data, config = {}) {
+        return this.request({ ...config, method: 'post', url, data });
+    }
+
+    /**
+     * Perform a request, retrying on rate limits, secondary limits and server errors
+     */
+    async request(config) {
+        for (let attempt = 0; ; attempt++) {
+            this.usage.requests++;
+
+            try {
+                // Slot is released before any retry sleep so waiting never blocks other work
+                const response = await this.pool.run(() => axios.request({
+                    ...config,
+                    headers: { ...this.headers, ...(config.headers || {}) }
+                }));
+                this.recordRateLimit(response.headers);
+                return response;
+            } catch (error) {
+                if (error.response) {
+                    this.recordRateLimit(error.response.headers);
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                const rateLimited = this.isRateLimited(error);
+
+                if (delay === null || attempt >= this.maxRetries) {
+                    if (rateLimited) {
+                        throw new RateLimitError(
+                            `GitHub rate limit exceeded for ${config.url} (gave up after ${attempt + 1} attempt(s))`,
+                            this.getResetTime(error.response)
+                        );
+                    }
+                    throw error;
+                }
+
+                if (delay > this.maxWaitMs) {
+                    const resetAt = this.getResetTime(error.response);
+                    throw new RateLimitError(
+                        `GitHub rate limit exceeded; reset in ${Math.ceil(delay / 60000)} min is longer than the allowed wait`,
+                        resetAt
+                    );
+                }
+
+                const status = error.response ? error.response.status : error.code;
+                console.warn(`   ⏳ GitHub ${status} on ${config.url}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${this.maxRetries})`);
+
+                this.usage.retries++;
+                this.usage.waitedMs += delay;
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Is this a primary or secondary rate limit response?
+     */
+    isRateLimited(error) {
+        const response = error.response;
+        if (!response) {
+            return false;
+        }
+
+        if (response.status === 429) {
+            return true;
+        }
+
+        if (response.status === 403) {
+            const headers = response.headers || {};
+            const message = (response.data && response.data.message) || '';
+            return headers['x-ratelimit-remaining'] === '0'
+                || headers['retry-after'] !== undefined
+                || /rate limit/i.test(message);
+        }
+
+        return false;
+    }
+
+    /**
+     * How long to wait before retrying, or null if the error is not retryable
+     */
+    getRetryDelay(error, attempt) {
+        const response = error.response;
+
+        // Network errors (reset connections, timeouts) are worth another try
+        if (!response) {
+            return ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(error.code)
+                ? BASE_BACKOFF_MS * Math.pow(2, attempt)
+                : null;
+        }
+
+        const headers = response.headers || {};
+
+        if (this.isRateLimited(error)) {
+            const retryAfter = headers['retry-after'] !== undefined ? parseRetryAfter(headers['retry-after']) : null;
+            if (retryAfter !== null) {
+                return retryAfter;
+            }
+
+            if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+                const resetMs = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+                return Math.max(resetMs - Date.now(), 0) + 1000;
+            }
+
+            // Secondary limit without hints: GitHub asks for at least a minute
+            return SECONDARY_LIMIT_BACKOFF_MS * Math.pow(2, attempt);
+        }
+
+        if (response.status >= 500) {
+            return BASE_BACKOFF_MS * Math.pow(2, attempt);
+        }
+
+        return null;
+    }
+
+    getResetTime(response) {
+        const reset = response && response.headers && response.headers['x-ratelimit-reset'];
+        return reset ? new Date(parseInt(reset, 10) * 1000) : null;
+    }
+
+    /**
+     * Track the remaining budget per rate limit resource
+     */
+    recordRateLimit(headers) {
+        if (!headers || headers['x-ratelimit-remaining'] === undefined) {
+            return;
+        }
+
+        const resource = headers['x-ratelimit-resource'] || 'core';
+        const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+        const limit = parseInt(headers['x-ratelimit-limit'], 10);
+        const reset = parseInt(headers['x-ratelimit-reset'], 10);
+
+        const entry = this.usage.resources[resource];
+        if (!entry) {
+            // The first response already reflects this request
+            this.usage.resources[resource] = { limit, remaining, reset, used: 1 };
+            return;
+        }
+
+        // Window rolled over: keep counting from the new budget
+        if (reset !== entry.reset) {
+            entry.used += Math.max(limit - remaining, 0);
+        } else {
+            entry.used += Math.max(entry.remaining - remaining, 0);
+        }
+
+        entry.limit = limit;
+        entry.remaining = remaining;
+        entry.reset = reset;
+    }
+
+    /**
+     * Summary of how much API budget this client has consumed
+     */
+    getUsageSummary() {
+        const resources = {};
+
+        for (const [name, entry] of Object.entries(this.usage.resources)) {
+            resources[name] = {
+                used: entry.used,
+                remaining: entry.remaining,
+                limit: entry.limit,
+                resetsAt: new Date(entry.reset * 1000).toISOString()
+            };
+        }
+
+        return {
+            requests: this.usage.requests,
+            retries: this.usage.retries,
+            waitedSeconds: Math.round(this.usage.waitedMs / 1000),
+            resources
+        };
+    }
+
+    /**
+     * Print API budget usage for this run
+     */
+    printUsage() {
+        const summary = this.getUsageSummary();
+
+        console.log(`\n📡 GitHub API usage: ${summary.requests} request(s), ${summary.retries} retr${summary.retries === 1 ? 'y' : 'ies'}, ${summary.waitedSeconds}s waiting`);
+        for (const [name, entry] of Object.entries(summary.resources)) {
+            console.log(`   ${name}: used ${entry.used}, ${entry.remaining}/${entry.limit} remaining (resets ${entry.resetsAt})`);
+        }
+    }
+}
+
+module.exports = GitHubClient;
+module.exports.RateLimitError = RateLimitError;
@@ -3,37 +3,186 @@
 /**
  * GitHub Developer Contribution Tracker for SoluLab
  * Tracks lines of code committed by each developer with leaderboards and reports
- * Enhanced version with ALL BRANCHES support and inactive users display
+ * Enhanced version with branch selection (all, default or protected branches) and inactive users display
  */
 
-const axios = require('axios');
+const GitHubClient = require('./GitHubClient');
+const CommitStore = require('./CommitStore');
+const LocalGitBackend = require('./LocalGitBackend');
+const PathFilter = require('./PathFilter');
+const IdentityResolver = require('./IdentityResolver');
+const BotFilter = require('./BotFilter');
+const TicketExtractor = require('./TicketExtractor');
+const TestPaths = require('./TestPaths');
+const ComponentMap = require('./ComponentMap');
+const { parseCoAuthors } = require('./CommitTrailers');
+const BranchPolicy = require('./BranchPolicy');
+const { hashPatch, findCandidateGroups, findDuplicates } = require('./CommitDedupe');
+const { MERGE_POLICIES, classifyCommit, describeCommitTypes } = require('./MergePolicy');
+const { WORK_TYPES, classifyMessage, sumWorkTypes, workTypeColumns } = require('./CommitTypes');
+const {
+    PULL_REQUEST_HEADERS, REVIEW_HEADERS, emptyPullRequestStats, emptyReviewStats, inRange, touchesRange,
+    addPullRequest, addReview, formatHours, hasPullRequests, summarizePullRequests, pullRequestColumns,
+    hasReviews, sumReviews, reviewColumns
+} = require('./PullRequestStats');
+const { ISSUE_HEADERS, emptyIssueStats, hasIssues, sumIssues, issueColumns } = require('./IssueStats');
+const { languageOf, addLanguages, describeLanguages } = require('./Languages');
+const {
+    resolveTimeZone, formatDate, parseDate, customPeriod, isValidPeriod,
+    getPeriodRange, getCoveringRange, getReportFileName, describePeriod
+} = require('./ReportPeriods');
+const { RateLimitError } = GitHubClient;
 const Table = require('cli-table3');
 const fs = require('fs').promises;
+const path = require('path');
 const { Command } = require('commander');
 
+const GRAPHQL_URL = 'https://api.github.com/graphql';
+const GRAPHQL_BATCH_SIZE = 100;
+
+/**
+ * Zeroed stats for a developer seen for the first time (also the base of the multi-repo aggregate)
+ */
+function createDevStats(name, email) {
+    return {
+        commits: 0,
+        additions: 0,
+        deletions: 0,
+        netLines: 0,
+        mergeCommits: 0,
+        squashMerges: 0,
+        workTypes: {},
+        tickets: {},
+        commitsWithoutTicket: [],
+        languages: {},
+        testLines: { additions: 0, deletions: 0 },
+        productionLines: { additions: 0, deletions: 0 },
+        unclassifiedLines: { additions: 0, deletions: 0 },
+        components: {},
+        pullRequests: emptyPullRequestStats(),
+        reviews: emptyReviewStats(),
+        issues: emptyIssueStats(),
+        commitShas: [],
+        email,
+        name
+    };
+}
+
+// Where local git mirrors are cloned when no gitMirrorDir is given (runners pass GIT_MIRROR_DIR)
+const DEFAULT_MIRROR_DIR = '.git-mirrors';
+
+/**
+ * { login, type } of a GitHub user object (both null for deleted accounts)
+ */
+function toAccount(user) {
+    return { login: user ? user.login : null, type: user ? user.type : null };
+}
+
 class GitHubDevTracker {
-    constructor(orgName, repoName, githubToken) {
+    constructor(orgName, repoName, githubToken, options = {}) {
         this.orgName = orgName;
         this.repoName = repoName;
-        this.headers = {
-            'Authorization': `token ${githubToken}`,
-            'Accept': 'application/vnd.github.v3+json'
+        this.graphqlHeaders = {
+            'Authorization': `bearer ${githubToken}`,
+            'Content-Type': 'application/json'
         };
         this.baseUrl = `https://api.github.com/repos/${orgName}/${repoName}`;
+
+        // Shared client handles rate limits and retries (MultiRepoTracker passes its own)
+        this.client = options.client || new GitHubClient(githubToken, options);
+
+        // Count commits from GraphQL batch totals where no per-file count is needed (opt-in,
+        // see needsFileStats); REST per commit is the default and the fallback
+        this.useGraphQL = options.useGraphQL === true;
+
+        // Local commit store for incremental sync (shared when passed in by MultiRepoTracker)
+        this.store = options.store
+            || (options.commitStore && options.commitStorePath ? new CommitStore(options.commitStorePath) : null);
+
+        // Include/exclude rules deciding which files count towards line stats
+        this.pathFilter = options.pathFilter || new PathFilter(options);
+
+        // Maps commit names/emails to one canonical login (.mailmap + alias file)
+        this.identity = options.identity || new IdentityResolver(options);
+
+        // Dependabot, CI users etc. are dropped, or flagged with isBot when REPORT_BOTS is on
+        this.botFilter = options.botFilter || new BotFilter(options);
+
+        // Jira keys / GitHub issues referenced in commit messages (TICKET_PATTERNS)
+        this.tickets = options.tickets || new TicketExtractor(options);
+
+        // Credit for Co-authored-by trailers: 'full' (everyone gets all lines),
+        // 'split' (lines divided evenly) or 'author' (commit author only)
+        this.coAuthorCredit = options.coAuthorCredit || 'full';
+
+        // Which branches are walked: all, default branch only, protected, plus include/exclude globs
+        this.branchRules = options.branchRules || new BranchPolicy(options);
+        this.defaultBranch = null;
+
+        // Count cherry-picked / rebased copies of a change once (matched by author, message and patch)
+        this.dedupeCommits = options.dedupeCommits !== false;
+
+        // Merge commits: 'skip', 'commits-only' (no lines, default) or 'full'
+        this.mergePolicy = options.mergePolicy || 'commits-only';
+
+        // Pull requests opened/merged/closed per author (always read from the GitHub API)
+        this.trackPullRequests = options.pullRequests !== false;
+
+        // Issues opened/closed/commented on per person (always read from the GitHub API)
+        this.trackIssues = options.issues !== false;
+
+        // Globs telling test files from production code (TEST_PATHS)
+        this.testPaths = options.testFilter || new TestPaths(options);
+
+        // Monorepo components (path prefixes or workspace packages) lines are attributed to
+        this.componentMap = options.componentMap || new ComponentMap(options);
+        this.components = null;
+
+        // Ask GitHub which languages the repository uses, to settle extensions like .h (REPO_LANGUAGES)
+        this.useRepoLanguages = !!options.repoLanguages;
+        this.repoLanguages = null;
+
+        // IANA timezone whose calendar days bound every report window (REPORT_TZ)
+        this.timeZone = resolveTimeZone(options.timeZone);
+
+        // Optional local git data source: a given local repository, or a mirror cloned from GitHub
+        this.gitBackend = null;
+        if (options.gitRepoPath) {
+            this.gitBackend = new LocalGitBackend(options.gitRepoPath);
+        } else if (options.backend === 'git') {
+            this.gitBackend = new LocalGitBackend(
+                path.join(options.gitMirrorDir || DEFAULT_MIRROR_DIR, orgName, `${repoName}.git`),
+                { remoteUrl: `https://github.com/${orgName}/${repoName}.git`, token: githubToken }
+            );
+        }
     }
 
     /**
-     * Get all branches in the repository
+     * Key used for this repository in the commit store
+     */
+    getRepoKey() {
+        return `${this.orgName}/${this.repoName}`;
+    }
+
+    /**
+     * Get all branch names in the repository
      */
     async getAllBranches() {
+        const branches = await this.listBranches();
+        return branches.map(b => b.name);
+    }
+
+    /**
+     * Get all branches with their head commit ({ name, commit: { sha }, protected })
+     */
+    async listBranches() {
         const branches = [];
         let page = 1;
         const perPage = 100;
 
         try {
             while (true) {
-                const response = await axios.get(`${this.baseUrl}/branches`, {
-                    headers: this.headers,
+                const response = await this.client.get(`${this.baseUrl}/branches`, {
                     params: {
                         per_page: perPage,
                         page: page
@@ -46,7 +195,7 @@ class GitHubDevTracker {
                     break;
                 }
 
-                branches.push(...pageBranches.map(b => b.name));
+                branches.push(...pageBranches);
                 page++;
 
                 if (pageBranches.length < perPage) {
@@ -54,24 +203,81 @@ class GitHubDevTracker {
                 }
             }
         } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             console.error(`Error fetching branches: ${error.message}`);
         }
 
         return branches;
     }
 
+    /**
+     * Name of the repository's default branch (cached)
+     */
+    async getDefaultBranch() {
+        if (!this.defaultBranch) {
+            if (this.gitBackend) {
+                this.defaultBranch = await this.gitBackend.getDefaultBranch();
+            } else {
+                const response = await this.client.get(this.baseUrl);
+                this.defaultBranch = response.data.default_branch;
+            }
+        }
+        return this.defaultBranch;
+    }
+
+    /**
+     * Branches selected by the branch policy for this repository
+     * Protection status only exists on GitHub, so the protected policy always asks the API.
+     */
+    async selectBranches() {
+        await this.branchRules.load();
+        const rules = this.branchRules.forRepo(this.repoName);
+
+        const branches = this.gitBackend && rules.policy !== 'protected'
+            ? await this.gitBackend.listBranches()
+            : await this.listBranches();
+
+        if (BranchPolicy.selectsAll(rules)) {
+            return branches;
+        }
+
+        const defaultBranch = rules.policy === 'default' ? await this.getDefaultBranch() : null;
+        return BranchPolicy.select(branches, rules, defaultBranch);
+    }
+
+    /**
+     * Branch policy for report headers, e.g. "ALL BRANCHES" or "DEFAULT BRANCH: main"
+     */
+    getBranchPolicyLabel() {
+        return BranchPolicy.describe(this.branchRules.forRepo(this.repoName), this.defaultBranch);
+    }
+
     /**
      * Get all commits from a specific branch in a date range
      */
     async getCommitsFromBranch(branchName, since, until) {
+        const { commits } = await this.fetchBranchCommits(branchName, since, until);
+        return commits;
+    }
+
+    /**
+     * Page through a branch's commits, optionally stopping at an already synced SHA
+     * Returns { commits, reachedSha } where reachedSha tells whether stopAtSha was seen.
+     * Merge commits can bring in older history below the synced SHA, so once one
+     * is seen paging continues through the whole range.
+     */
+    async fetchBranchCommits(branchName, since, until, stopAtSha = null) {
         const commits = [];
         let page = 1;
         const perPage = 100;
+        let reachedSha = false;
+        let seenMerge = false;
 
         while (true) {
             try {
-                const response = await axios.get(`${this.baseUrl}/commits`, {
-                    headers: this.headers,
+                const response = await this.client.get(`${this.baseUrl}/commits`, {
                     params: {
                         sha: branchName,  // Specify branch
                         since: since.toISOString(),
@@ -87,6 +293,20 @@ class GitHubDevTracker {
                     break;
                 }
 
+                if (stopAtSha) {
+                    const stopIndex = pageCommits.findIndex(c => c.sha === stopAtSha);
+                    const newCommits = stopIndex === -1 ? pageCommits : pageCommits.slice(0, stopIndex);
+                    seenMerge = seenMerge || newCommits.some(c => c.parents && c.parents.length > 1);
+
+                    if (stopIndex !== -1) {
+                        reachedSha = true;
+                        if (!seenMerge) {
+                            commits.push(...newCommits);
+                            break;
+                        }
+                    }
+                }
+
                 commits.push(...pageCommits);
                 page++;
 
@@ -95,6 +315,9 @@ class GitHubDevTracker {
                     break;
                 }
             } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
                 // Branch might not exist or be accessible, skip it
                 if (error.response && error.response.status === 409) {
                     // Empty repository
@@ -105,44 +328,100 @@ class GitHubDevTracker {
             }
         }
 
+        return { commits, reachedSha };
+    }
+
+    /**
+     * Get a branch's commits through the local store, downloading only what is new
+     * The cursor records the branch head at the last sync and how far back the
+     * store is complete; if the head moved, only commits above it are fetched.
+     */
+    async syncBranchCommits(branch, since, until) {
+        const repoKey = this.getRepoKey();
+        const headSha = branch.commit.sha;
+        const cursor = this.store.getCursor(repoKey, branch.name);
+        const now = new Date();
+
+        if (cursor && since >= new Date(cursor.from)) {
+            if (cursor.headSha !== headSha) {
+                // Fetch from the start of the synced window so older-dated pushes are caught too
+                const { commits, reachedSha } = await this.fetchBranchCommits(
+                    branch.name, new Date(cursor.from), now, cursor.headSha
+                );
+
+                if (!reachedSha) {
+                    // Force-pushed: the old head is gone, rebuild membership for the window
+                    this.store.resetBranch(repoKey, branch.name);
+                }
+
+                commits.forEach(c => this.store.addCommit(repoKey, c, branch.name));
+                this.store.setCursor(repoKey, branch.name, { headSha, from: cursor.from });
+            }
+
+            return this.store.getBranchCommits(repoKey, branch.name, since, until);
+        }
+
+        // Nothing synced this far back yet: download the requested range
+        const { commits } = await this.fetchBranchCommits(branch.name, since, until);
+        commits.forEach(c => this.store.addCommit(repoKey, c, branch.name));
+
+        // Only a range that reaches the branch head can become the new cursor
+        if (until >= now) {
+            this.store.setCursor(repoKey, branch.name, { headSha, from: since.toISOString() });
+        }
+
         return commits;
     }
 
     /**
-     * Get all commits from ALL branches in a date range
+     * Get all commits from the branches selected by the branch policy in a date range
      */
     async getCommitsInRange(since, until) {
-        console.log(`📋 Fetching all branches...`);
-        const branches = await this.getAllBranches();
+        if (this.store) {
+            await this.store.load();
+        }
+
+        console.log(`📋 Fetching branches...`);
+        const branches = await this.selectBranches();
         
         if (branches.length === 0) {
-            console.log(`⚠️  No branches found in repository`);
+            console.log(`⚠️  No branches found in repository (${this.getBranchPolicyLabel()})`);
             return [];
         }
 
-        console.log(`✅ Found ${branches.length} branch(es): ${branches.slice(0, 5).join(', ')}${branches.length > 5 ? ` (+${branches.length - 5} more)` : ''}`);
-        console.log(`📊 Fetching commits from all branches (${since.toISOString().split('T')[0]} to ${until.toISOString().split('T')[0]})...`);
+        const branchNames = branches.map(b => b.name);
+        console.log(`✅ Selected ${branches.length} branch(es) (${this.getBranchPolicyLabel()}): ${branchNames.slice(0, 5).join(', ')}${branches.length > 5 ? ` (+${branches.length - 5} more)` : ''}`);
+        console.log(`📊 Fetching commits from selected branches (${formatDate(since, this.timeZone)} to ${formatDate(until, this.timeZone)})...`);
 
         const allCommits = new Map(); // Use Map to deduplicate by SHA
 
-        for (let i = 0; i < branches.length; i++) {
-            const branch = branches[i];
-            const branchCommits = await this.getCommitsFromBranch(branch, since, until);
-            
+        // Branches are fetched in parallel, results are merged in branch order
+        const commitsByBranch = await this.client.pool.map(branches, async (branch) => {
+            const branchCommits = this.store
+                ? await this.syncBranchCommits(branch, since, until)
+                : await this.getCommitsFromBranch(branch.name, since, until);
+
             if (branchCommits.length > 0) {
-                console.log(`   Branch "${branch}": ${branchCommits.length} commits`);
-                
-                // Add commits to map (automatically deduplicates by SHA)
-                branchCommits.forEach(commit => {
-                    if (!allCommits.has(commit.sha)) {
-                        allCommits.set(commit.sha, commit);
-                    }
-                });
+                console.log(`   Branch "${branch.name}": ${branchCommits.length} commits`);
             }
+            return branchCommits;
+        });
+
+        commitsByBranch.forEach(branchCommits => {
+            // Add commits to map (automatically deduplicates by SHA)
+            branchCommits.forEach(commit => {
+                if (!allCommits.has(commit.sha)) {
+                    allCommits.set(commit.sha, commit);
+                }
+            });
+        });
+
+        if (this.store) {
+            await this.store.save();
         }
 
         const uniqueCommits = Array.from(allCommits.values());
-        console.log(`✅ Total unique commits across all branches: ${uniqueCommits.length}\n`);
+        console.log(`✅ Total unique commits across selected branches: ${uniqueCommits.length}\n`);
 
         return uniqueCommits;
     }
@@ -152,33 +431,214 @@ class GitHubDevTracker {
      */
     async getCommitStats(commitSha) {
         try {
-            const response = await axios.get(`${this.baseUrl}/commits/${commitSha}`, {
-                headers: this.headers
-            });
-
-            const stats = response.data.stats || {};
-            return {
-                additions: stats.additions || 0,
-                deletions: stats.deletions || 0
-            };
+            return await this.fetchCommitStats(commitSha);
         } catch (error) {
+            // Never report 0/0 for a rate-limited run: the leaderboard would be wrong
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
             console.error(`Error fetching commit stats for ${commitSha}: ${error.message}`);
             return { additions: 0, deletions: 0 };
         }
     }
 
+    /**
+     * Fetch additions, deletions and per-file counts for a commit via REST (throws on failure)
+     * Commits touching more than 300 files list the rest on further pages.
+     * The patch id (hash of the changed lines) is kept for duplicate detection.
+     */
+    async fetchCommitStats(commitSha) {
+        let response = await this.client.get(`${this.baseUrl}/commits/${commitSha}`);
+
+        const stats = response.data.stats || {};
+        const rawFiles = [];
+
+        while (true) {
+            rawFiles.push(...(response.data.files || []));
+
+            const next = (response.headers && response.headers.link || '').match(/<([^>]+)>;\s*rel="next"/);
+            if (!next) {
+                break;
+            }
+            response = await this.client.get(next[1]);
+        }
+
+        return {
+            additions: stats.additions || 0,
+            deletions: stats.deletions || 0,
+            files: rawFiles.map(f => ({
+                filename: f.filename,
+                additions: f.additions || 0,
+                deletions: f.deletions || 0
+            })),
+            patchId: hashPatch(rawFiles)
+        };
+    }
+
+    /**
+     * Whether commit stats need per-file counts, which GraphQL batches do not return
+     * The path rules (default excludes included), the language split, test vs production
+     * lines and components all count lines per file. Only USE_GRAPHQL without any path
+     * rule or component settles for commit totals.
+     */
+    needsFileStats() {
+        return !this.useGraphQL || this.pathFilter.isActive() || (this.components && this.components.length > 0);
+    }
+
+    /**
+     * Resolve stats for every commit: local store first, then GraphQL batches, then REST
+     * Newly fetched stats are written back to the store (a commit's stats never change).
+     * Stored totals without per-file data are fetched again when per-file counts are needed.
+     */
+    async resolveCommitStats(commits) {
+        const repoKey = this.getRepoKey();
+        const statsBySha = new Map();
+        const needsFiles = this.needsFileStats();
+        let missing = [];
+
+        commits.forEach(commit => {
+            const stored = this.store && this.store.getStats(repoKey, commit.sha);
+            if (stored && (!needsFiles || stored.files)) {
+                statsBySha.set(commit.sha, stored);
+            } else {
+                missing.push(commit.sha);
+            }
+        });
+
+        if (this.store && statsBySha.size > 0) {
+            console.log(`   💾 ${statsBySha.size} commit(s) served from the local store`);
+        }
+
+        const remember = (sha, stats) => {
+            statsBySha.set(sha, stats);
+            if (this.store) {
+                this.store.setStats(repoKey, sha, stats);
+            }
+        };
+
+        if (missing.length > 0 && this.useGraphQL && !needsFiles) {
+            const batchStats = await this.getCommitStatsBatch(missing);
+            batchStats.forEach((stats, sha) => remember(sha, stats));
+
+            missing = missing.filter(sha => !statsBySha.has(sha));
+            if (missing.length > 0) {
+                console.log(`   ${missing.length} commit(s) not resolved via GraphQL, falling back to REST`);
+            }
+        }
+
+        let processed = 0;
+        await this.client.pool.map(missing, async (sha) => {
+            try {
+                remember(sha, await this.fetchCommitStats(sha));
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
+                // Not stored, so the next run tries again
+                console.error(`Error fetching commit stats for ${sha}: ${error.message}`);
+                statsBySha.set(sha, { additions: 0, deletions: 0 });
+            }
+
+            processed++;
+            if (processed % 10 === 0) {
+                console.log(`   Processing commit ${processed}/${missing.length}...`);
+            }
+        });
+
+        if (this.store) {
+            await this.store.save();
+        }
+
+        return statsBySha;
+    }
+
+    /**
+     * Get additions and deletions for many commits at once via the GraphQL API
+     * Commits are requested in batches of 100 aliased objects per query.
+     * Returns a Map of SHA -> { additions, deletions }; SHAs missing from the
+     * map could not be resolved and should be fetched through REST instead.
+     */
+    async getCommitStatsBatch(commitShas) {
+        const statsBySha = new Map();
+        const batches = [];
+        let done = 0;
+
+        for (let i = 0; i < commitShas.length; i += GRAPHQL_BATCH_SIZE) {
+            batches.push(commitShas.slice(i, i + GRAPHQL_BATCH_SIZE));
+        }
+
+        await this.client.pool.map(batches, async (batch) => {
+            const fields = batch
+                .map((sha, idx) => `c${idx}: object(oid: "${sha}") { ... on Commit { oid additions deletions } }`)
+                .join('\n');
+            const query = `query($owner: String!, $name: String!) {
+                repository(owner: $owner, name: $name) {
+                    ${fields}
+                }
+            }`;
+
+            try {
+                const response = await this.client.post(GRAPHQL_URL, {
+                    query,
+                    variables: { owner: this.orgName, name: this.repoName }
+                }, {
+                    headers: this.graphqlHeaders
+                });
+
+                const repository = response.data.data && response.data.data.repository;
+
+                if (!repository) {
+                    const message = response.data.errors
+                        ? response.data.errors.map(e => e.message).join('; ')
+                        : 'empty response';
+                    console.error(`GraphQL stats batch failed: ${message}`);
+                    return;
+                }
+
+                Object.values(repository).forEach(node => {
+                    if (node && node.oid) {
+                        statsBySha.set(node.oid, {
+                            additions: node.additions || 0,
+                            deletions: node.deletions || 0
+                        });
+                    }
+                });
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
+                console.error(`GraphQL stats batch failed: ${error.message}`);
+            }
+
+            done += batch.length;
+            if (commitShas.length > GRAPHQL_BATCH_SIZE) {
+                console.log(`   GraphQL stats: ${done}/${commitShas.length} commits`);
+            }
+        });
+
+        return statsBySha;
+    }
+
     /**
      * Get list of all contributors to the repository
      */
     async getAllContributors() {
+        await this.identity.load();
+
+        if (this.gitBackend) {
+            const contributors = await this.gitBackend.getContributors();
+            return contributors
+                .filter(c => !this.botFilter.isBot(c))
+                .map(c => ({ ...c, login: this.identity.resolve(c).id }));
+        }
+
         try {
             let page = 1;
             const perPage = 100;
             const allContributors = [];
 
             while (true) {
-                const response = await axios.get(`${this.baseUrl}/contributors`, {
-                    headers: this.headers,
+                const response = await this.client.get(`${this.baseUrl}/contributors`, {
                     params: {
                         per_page: perPage,
                         page: page,
@@ -192,136 +652,890 @@ class GitHubDevTracker {
                     break;
                 }
 
-                allContributors.push(...contributors.map(c => ({
-                    login: c.login,
+                allContributors.push(...contributors.filter(c => !this.botFilter.isBot(c)).map(c => ({
+                    login: this.identity.resolveKey(c.login),
                     name: c.login,
                     contributions: c.contributions
                 })));
 
-                page++;
+                page++;
+
+                // If we got less than perPage, we're done
+                if (contributors.length < perPage) {
+                    break;
+                }
+            }
+
+            return allContributors;
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            console.error(`Error fetching contributors: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Languages GitHub detected in the repository (only fetched once, and only with REPO_LANGUAGES)
+     */
+    async loadRepoLanguages() {
+        if (!this.useRepoLanguages || this.repoLanguages) {
+            return;
+        }
+
+        try {
+            const response = await this.client.get(`${this.baseUrl}/languages`);
+            this.repoLanguages = Object.keys(response.data || {});
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            console.error(`Error fetching repository languages: ${error.message}`);
+            this.repoLanguages = [];
+        }
+    }
+
+    /**
+     * Components of this repository: configured prefixes, plus its workspace packages with DETECT_WORKSPACES
+     */
+    async loadComponents() {
+        if (this.components) {
+            return;
+        }
+
+        await this.componentMap.load();
+
+        let workspaces = [];
+        if (this.componentMap.detectWorkspaces) {
+            const files = {};
+            for (const filename of ComponentMap.WORKSPACE_FILES) {
+                const contents = await this.readRepoFile(filename);
+                if (contents !== null) {
+                    files[filename] = contents;
+                }
+            }
+            workspaces = ComponentMap.parseWorkspaces(files);
+        }
+
+        this.components = this.componentMap.forRepo(this.repoName, workspaces);
+    }
+
+    /**
+     * Contents of a file on the default branch (local mirror or contents API), or null when missing
+     */
+    async readRepoFile(filePath) {
+        if (this.gitBackend) {
+            return this.gitBackend.readFile(filePath);
+        }
+
+        try {
+            const response = await this.client.get(`${this.baseUrl}/contents/${filePath}`);
+            return Buffer.from(response.data.content || '', 'base64').toString('utf8');
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            if (!error.response || error.response.status !== 404) {
+                console.error(`Error fetching ${filePath}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Gather the commits in a date range along with their stats
+     * Uses the local git backend when configured, otherwise the GitHub API.
+     */
+    async collectCommits(since, until) {
+        await this.identity.load();
+        await this.loadRepoLanguages();
+        await this.loadComponents();
+
+        if (this.gitBackend) {
+            await this.branchRules.load();
+            const branches = BranchPolicy.selectsAll(this.branchRules.forRepo(this.repoName))
+                ? null
+                : (await this.selectBranches()).map(b => b.name);
+
+            console.log(`📂 Reading commits from local git (${formatDate(since, this.timeZone)} to ${formatDate(until, this.timeZone)}, ${this.getBranchPolicyLabel()})...`);
+            const result = await this.gitBackend.getCommitsInRange(since, until, branches);
+            console.log(`✅ Total unique commits across selected branches: ${result.commits.length}\n`);
+            return this.removeDuplicateChanges(result.commits, result.statsBySha);
+        }
+
+        const commits = await this.getCommitsInRange(since, until);
+        return this.attachCommitStats(commits);
+    }
+
+    /**
+     * Gather the commits between two tags or refs (in head but not in base) along with their stats
+     * Uses `git log base..head` with the local git backend, otherwise the compare API.
+     */
+    async collectReleaseCommits(base, head) {
+        await this.identity.load();
+        await this.loadRepoLanguages();
+        await this.loadComponents();
+
+        if (this.gitBackend) {
+            console.log(`📂 Reading commits from local git (${base}..${head})...`);
+            const result = await this.gitBackend.getCommitsBetween(base, head);
+            console.log(`✅ Commits in ${base}..${head}: ${result.commits.length}\n`);
+            return this.removeDuplicateChanges(result.commits, result.statsBySha);
+        }
+
+        console.log(`📊 Comparing ${base}...${head}...`);
+        const commits = await this.compareCommits(base, head);
+        console.log(`✅ Commits in ${base}..${head}: ${commits.length}\n`);
+
+        return this.attachCommitStats(commits);
+    }
+
+    /**
+     * Commits from the compare API (head's commits that base does not have), oldest first
+     */
+    async compareCommits(base, head) {
+        const encodeRef = ref => ref.split('/').map(encodeURIComponent).join('/');
+        const url = `${this.baseUrl}/compare/${encodeRef(base)}...${encodeRef(head)}`;
+
+        const commits = [];
+        let page = 1;
+        const perPage = 100;
+
+        while (true) {
+            let response;
+            try {
+                response = await this.client.get(url, {
+                    params: {
+                        per_page: perPage,
+                        page: page
+                    }
+                });
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
+                throw new Error(`Cannot compare ${base}...${head}: ${error.message}`);
+            }
+
+            const pageCommits = response.data.commits || [];
+            commits.push(...pageCommits);
+
+            if (pageCommits.length < perPage || commits.length >= response.data.total_commits) {
+                break;
+            }
+            page++;
+        }
+
+        return commits;
+    }
+
+    /**
+     * Resolve stats for fetched commits and drop duplicate changes
+     */
+    async attachCommitStats(commits) {
+        if (commits.length === 0) {
+            return { commits, statsBySha: new Map() };
+        }
+
+        console.log(`🔍 Analyzing ${commits.length} commits...`);
+
+        // Merge commit lines are only needed when the merge policy counts them
+        const statsBySha = await this.resolveCommitStats(
+            this.mergePolicy === 'full' ? commits : commits.filter(c => classifyCommit(c) !== 'merge')
+        );
+        return this.removeDuplicateChanges(commits, statsBySha);
+    }
+
+    /**
+     * Drop cherry-picked and rebased copies of the same change (the earliest commit is kept)
+     * Only commits sharing author and message are compared, so patch ids are only
+     * looked up (local git) or fetched through REST for those few candidates.
+     */
+    async removeDuplicateChanges(commits, statsBySha) {
+        const groups = this.dedupeCommits ? findCandidateGroups(commits) : [];
+        if (groups.length === 0) {
+            return { commits, statsBySha };
+        }
+
+        const candidates = groups.flat().map(c => c.sha);
+        const patchIds = new Map();
+
+        if (this.gitBackend) {
+            (await this.gitBackend.getPatchIds(candidates)).forEach((patchId, sha) => patchIds.set(sha, patchId));
+        } else {
+            const repoKey = this.getRepoKey();
+
+            await this.client.pool.map(candidates, async (sha) => {
+                let stats = statsBySha.get(sha);
+
+                // GraphQL totals and older store entries have no patch id yet
+                if (!stats || !stats.patchId) {
+                    try {
+                        stats = await this.fetchCommitStats(sha);
+                    } catch (error) {
+                        if (error instanceof RateLimitError) {
+                            throw error;
+                        }
+                        console.error(`Error fetching patch for ${sha}: ${error.message}`);
+                        return;
+                    }
+                    statsBySha.set(sha, stats);
+                    if (this.store) {
+                        this.store.setStats(repoKey, sha, stats);
+                    }
+                }
+
+                patchIds.set(sha, stats.patchId);
+            });
+
+            if (this.store) {
+                await this.store.save();
+            }
+        }
+
+        const duplicates = findDuplicates(groups, patchIds);
+        if (duplicates.size === 0) {
+            return { commits, statsBySha };
+        }
+
+        console.log(`   🧬 ${duplicates.size} cherry-picked/rebased duplicate(s) counted once`);
+        return { commits: commits.filter(c => !duplicates.has(c.sha)), statsBySha };
+    }
+
+    /**
+     * Pull requests updated since `since`, with their reviews and review comments:
+     * [{ number, author: { login, type }, createdAt, mergedAt, closedAt, firstReviewAt,
+     *    reviews: [{ reviewer, state, submittedAt }], comments: [{ commenter, createdAt }] }]
+     * Listed by last update (newest first), so paging stops at the first PR untouched since `since`.
+     * A review or comment updates its pull request, so every review activity in the range is covered.
+     */
+    async collectPullRequests(since, until) {
+        if (!this.trackPullRequests) {
+            return [];
+        }
+
+        const pullRequests = [];
+        let page = 1;
+        const perPage = 100;
+
+        try {
+            while (true) {
+                const response = await this.client.get(`${this.baseUrl}/pulls`, {
+                    params: {
+                        state: 'all',
+                        sort: 'updated',
+                        direction: 'desc',
+                        per_page: perPage,
+                        page: page
+                    }
+                });
+
+                const pagePulls = response.data || [];
+                let reachedOlder = false;
+
+                for (const pr of pagePulls) {
+                    if (new Date(pr.updated_at) < since) {
+                        reachedOlder = true;
+                        break;
+                    }
+
+                    pullRequests.push({
+                        number: pr.number,
+                        author: toAccount(pr.user),
+                        createdAt: pr.created_at,
+                        mergedAt: pr.merged_at,
+                        closedAt: pr.closed_at,
+                        firstReviewAt: null,
+                        reviews: [],
+                        comments: []
+                    });
+                }
+
+                if (reachedOlder || pagePulls.length < perPage) {
+                    break;
+                }
+                page++;
+            }
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            console.error(`Error fetching pull requests: ${error.message}`);
+            return [];
+        }
+
+        await this.client.pool.map(pullRequests, async (pr) => {
+            pr.reviews = await this.getReviews(pr);
+
+            // First review by someone other than the author
+            const times = pr.reviews
+                .filter(review => review.reviewer.login !== pr.author.login)
+                .map(review => review.submittedAt)
+                .sort();
+            pr.firstReviewAt = times[0] || null;
+        });
+
+        const byNumber = new Map(pullRequests.map(pr => [pr.number, pr]));
+        (await this.getReviewComments(since)).forEach(comment => {
+            const pr = byNumber.get(comment.pullNumber);
+            if (pr) {
+                pr.comments.push({ commenter: comment.commenter, createdAt: comment.createdAt });
+            }
+        });
+
+        console.log(`🔀 Pull requests updated in range: ${pullRequests.length}`);
+        return pullRequests;
+    }
+
+    /**
+     * Submitted reviews of a pull request: [{ reviewer: { login, type }, state, submittedAt }]
+     * (pending reviews have no submission time and are left out)
+     */
+    async getReviews(pr) {
+        try {
+            const reviews = await this.listAll(`${this.baseUrl}/pulls/${pr.number}/reviews`, {});
+
+            return reviews
+                .filter(review => review.submitted_at)
+                .map(review => ({
+                    reviewer: toAccount(review.user),
+                    state: review.state,
+                    submittedAt: review.submitted_at
+                }));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            console.error(`Error fetching reviews for #${pr.number}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Review (diff) comments of every pull request updated since a date, from one repository-wide listing:
+     * [{ pullNumber, commenter: { login, type }, createdAt }]
+     */
+    async getReviewComments(since) {
+        const comments = [];
+        let page = 1;
+        const perPage = 100;
+
+        try {
+            while (true) {
+                const response = await this.client.get(`${this.baseUrl}/pulls/comments`, {
+                    params: {
+                        sort: 'updated',
+                        direction: 'asc',
+                        since: since.toISOString(),
+                        per_page: perPage,
+                        page: page
+                    }
+                });
+
+                const pageComments = response.data || [];
+                comments.push(...pageComments.map(comment => ({
+                    pullNumber: parseInt(String(comment.pull_request_url).split('/').pop(), 10),
+                    commenter: toAccount(comment.user),
+                    createdAt: comment.created_at
+                })));
+
+                if (pageComments.length < perPage) {
+                    break;
+                }
+                page++;
+            }
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            console.error(`Error fetching review comments: ${error.message}`);
+        }
+
+        return comments;
+    }
+
+    /**
+     * Stats entry for a pull request author or reviewer ({ login, type }), created when missing
+     * Returns null for accounts that are not counted (no login, or a dropped bot).
+     */
+    getAccountStats(devStats, account) {
+        if (!account.login) {
+            return null;
+        }
+
+        const isBot = this.botFilter.isBot(account);
+        if (isBot && !this.botFilter.reportBots) {
+            return null;
+        }
+
+        const dev = this.identity.resolve({ login: account.login, name: account.login, email: null }).id;
+        if (!devStats[dev]) {
+            devStats[dev] = createDevStats(account.login, '');
+            if (isBot) {
+                devStats[dev].isBot = true;
+            }
+        }
+        return devStats[dev];
+    }
+
+    /**
+     * Credit pull requests to their authors, and reviews and review comments to their reviewers,
+     * for the window { since, until } (in place)
+     * People without commits in the window get an entry of their own.
+     */
+    addPullRequestStats(devStats, pullRequests, range) {
+        for (const pr of pullRequests) {
+            if (touchesRange(pr, range)) {
+                const author = this.getAccountStats(devStats, pr.author);
+                if (author) {
+                    addPullRequest(author.pullRequests, pr, range);
+                }
+            }
+
+            // Replies on one's own pull request are not reviews
+            for (const review of pr.reviews) {
+                if (review.reviewer.login === pr.author.login || !inRange(review.submittedAt, range)) {
+                    continue;
+                }
+                const reviewer = this.getAccountStats(devStats, review.reviewer);
+                if (reviewer) {
+                    addReview(reviewer.reviews, review);
+                }
+            }
+
+            for (const comment of pr.comments) {
+                if (comment.commenter.login === pr.author.login || !inRange(comment.createdAt, range)) {
+                    continue;
+                }
+                const commenter = this.getAccountStats(devStats, comment.commenter);
+                if (commenter) {
+                    commenter.reviews.comments += 1;
+                }
+            }
+        }
+
+        return devStats;
+    }
+
+    /**
+     * Every item of a paginated listing (pages of 100)
+     * @param isOlder Optional check on items listed newest first: paging stops at the first one it matches
+     */
+    async listAll(url, params, isOlder = null) {
+        const items = [];
+        let page = 1;
+        const perPage = 100;
+
+        while (true) {
+            const response = await this.client.get(url, {
+                params: {
+                    ...params,
+                    per_page: perPage,
+                    page: page
+                }
+            });
+
+            const pageItems = response.data || [];
+            const olderIndex = isOlder ? pageItems.findIndex(isOlder) : -1;
+
+            if (olderIndex >= 0) {
+                items.push(...pageItems.slice(0, olderIndex));
+                break;
+            }
+            items.push(...pageItems);
+
+            if (pageItems.length < perPage) {
+                break;
+            }
+            page++;
+        }
+
+        return items;
+    }
+
+    /**
+     * Issue activity since a date (pull requests left out):
+     * { opened: [{ number, author, createdAt }], closed: [{ number, closer, closedAt }],
+     *   comments: [{ number, commenter, createdAt }] }
+     * Three repository-wide listings, however many issues there are.
+     */
+    async collectIssueActivity(since) {
+        const activity = { opened: [], closed: [], comments: [] };
+        if (!this.trackIssues) {
+            return activity;
+        }
+
+        const issueNumber = url => parseInt(String(url).split('/').pop(), 10);
+
+        try {
+            const issues = await this.listAll(`${this.baseUrl}/issues`, {
+                state: 'all',
+                sort: 'updated',
+                direction: 'desc',
+                since: since.toISOString()
+            });
+            activity.opened = issues
+                .filter(issue => !issue.pull_request)
+                .map(issue => ({ number: issue.number, author: toAccount(issue.user), createdAt: issue.created_at }));
+
+            // Only events say who closed an issue (newest first)
+            const events = await this.listAll(`${this.baseUrl}/issues/events`, {},
+                event => new Date(event.created_at) < since);
+            activity.closed = events
+                .filter(event => event.event === 'closed' && event.issue && !event.issue.pull_request)
+                .map(event => ({ number: event.issue.number, closer: toAccount(event.actor), closedAt: event.created_at }));
+
+            // Conversation comments on pull requests share this listing
+            const comments = await this.listAll(`${this.baseUrl}/issues/comments`, {
+                sort: 'updated',
+                direction: 'asc',
+                since: since.toISOString()
+            });
+            activity.comments = comments
+                .filter(comment => !String(comment.html_url).includes('/pull/'))
+                .map(comment => ({ number: issueNumber(comment.issue_url), commenter: toAccount(comment.user), createdAt: comment.created_at }));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            console.error(`Error fetching issue activity: ${error.message}`);
+            return { opened: [], closed: [], comments: [] };
+        }
+
+        console.log(`🐞 Issue activity: ${activity.opened.length} issues updated, ${activity.closed.length} closed, ${activity.comments.length} comments`);
+        return activity;
+    }
+
+    /**
+     * Credit issues opened, closed and commented on for the window { since, until } (in place)
+     * People without commits in the window get an entry of their own.
+     */
+    addIssueStats(devStats, activity, range) {
+        activity.opened
+            .filter(issue => inRange(issue.createdAt, range))
+            .forEach(issue => {
+                const author = this.getAccountStats(devStats, issue.author);
+                if (author) {
+                    author.issues.opened += 1;
+                }
+            });
+
+        activity.closed
+            .filter(closing => inRange(closing.closedAt, range))
+            .forEach(closing => {
+                const closer = this.getAccountStats(devStats, closing.closer);
+                if (closer) {
+                    closer.issues.closed += 1;
+                }
+            });
+
+        // Distinct issues per commenter (stats objects are unique per developer)
+        const commentedOn = new Map();
+        activity.comments
+            .filter(comment => inRange(comment.createdAt, range))
+            .forEach(comment => {
+                const commenter = this.getAccountStats(devStats, comment.commenter);
+                if (!commenter) {
+                    return;
+                }
+                commenter.issues.comments += 1;
+
+                if (!commentedOn.has(commenter)) {
+                    commentedOn.set(commenter, new Set());
+                }
+                const issues = commentedOn.get(commenter);
+                if (!issues.has(comment.number)) {
+                    issues.add(comment.number);
+                    commenter.issues.commented += 1;
+                }
+            });
+
+        return devStats;
+    }
+
+    /**
+     * Analyze commits, pull requests and issues, and return statistics per developer
+     */
+    async analyzeCommits(since, until) {
+        const { commits, statsBySha } = await this.collectCommits(since, until);
+        const pullRequests = await this.collectPullRequests(since, until);
+        const issueActivity = await this.collectIssueActivity(since);
+
+        const devStats = this.buildDevStats(commits, statsBySha);
+        this.addPullRequestStats(devStats, pullRequests, { since, until });
+        this.addIssueStats(devStats, issueActivity, { since, until });
+
+        if (Object.keys(devStats).length === 0) {
+            console.log('No activity found in the specified period.\n');
+            return {};
+        }
+
+        console.log(`✅ Analysis complete!\n`);
+        return devStats;
+    }
+
+    /**
+     * Analyze the commits of a release: everything in head that is not in base (e.g. v1.4.0..v1.5.0)
+     */
+    async analyzeRelease(base, head) {
+        const { commits, statsBySha } = await this.collectReleaseCommits(base, head);
+
+        if (commits.length === 0) {
+            console.log(`No commits found between ${base} and ${head}.\n`);
+            return {};
+        }
+
+        const devStats = this.buildDevStats(commits, statsBySha);
+
+        console.log(`✅ Analysis complete!\n`);
+        return devStats;
+    }
+
+    /**
+     * Analyze several periods with a single fetch of the widest window
+     * Returns { [period]: devStats } with each period sliced by commit date.
+     */
+    async analyzePeriods(periods, date = null) {
+        const { since, until } = getCoveringRange(periods, date, this.timeZone);
+        const { commits, statsBySha } = await this.collectCommits(since, until);
+        const pullRequests = await this.collectPullRequests(since, until);
+        const issueActivity = await this.collectIssueActivity(since);
+
+        const statsByPeriod = {};
+
+        for (const period of periods) {
+            const range = getPeriodRange(period, date, this.timeZone);
+            const periodCommits = commits.filter(commit => {
+                const commitDate = new Date((commit.commit.committer || commit.commit.author).date);
+                return commitDate >= range.since && commitDate <= range.until;
+            });
+
+            const devStats = this.buildDevStats(periodCommits, statsBySha);
+            this.addPullRequestStats(devStats, pullRequests, range);
+            this.addIssueStats(devStats, issueActivity, range);
+            statsByPeriod[period] = devStats;
+        }
+
+        console.log(`✅ Analysis complete (${periods.join(', ')})!\n`);
+        return statsByPeriod;
+    }
+
+    /**
+     * Build per-developer statistics from commits and their stats
+     */
+    buildDevStats(commits, statsBySha) {
+        const devStats = {};
+
+        // Learn which emails belong to which GitHub account before resolving unlinked commits
+        commits.forEach(commit => this.identity.learn({
+            login: commit.author ? commit.author.login : null,
+            name: commit.commit.author.name,
+            email: commit.commit.author.email
+        }));
+
+        for (let idx = 0; idx < commits.length; idx++) {
+            const commit = commits[idx];
+            const commitSha = commit.sha;
+            const type = classifyCommit(commit);
+            const workType = classifyMessage(commit.commit.message);
+            const tickets = this.tickets.extract(commit.commit.message);
+
+            // A merge commit's diff repeats the lines of the branch it merged
+            if (type === 'merge' && this.mergePolicy === 'skip') {
+                continue;
+            }
+            const stats = type === 'merge' && this.mergePolicy === 'commits-only'
+                ? { additions: 0, deletions: 0 }
+                : this.pathFilter.countLines(statsBySha.get(commitSha));
+
+            // Author and co-authors, each credited according to CO_AUTHOR_CREDIT
+            const participants = this.getCommitParticipants(commit);
+            const shares = this.splitCredit(stats, participants.length);
+            const languageShares = Object.entries(this.groupLines(statsBySha.get(commitSha), stats,
+                filename => languageOf(filename, this.repoLanguages)))
+                .map(([language, lines]) => [language, this.splitCredit(lines, participants.length)]);
+            const testShares = Object.entries(this.groupLines(statsBySha.get(commitSha), stats,
+                filename => (this.testPaths.isTest(filename) ? 'testLines' : 'productionLines')))
+                .map(([kind, lines]) => [kind === 'Unknown' ? 'unclassifiedLines' : kind, this.splitCredit(lines, participants.length)]);
+            const componentShares = this.components && this.components.length > 0
+                ? Object.entries(this.groupLines(statsBySha.get(commitSha), stats,
+                    filename => ComponentMap.componentOf(this.components, filename)))
+                    .map(([component, lines]) => [component, this.splitCredit(lines, participants.length)])
+                : [];
+
+            participants.forEach((participant, index) => {
+                const share = shares[index];
+
+                if (!devStats[participant.id]) {
+                    devStats[participant.id] = createDevStats(participant.name, participant.email);
+                    if (participant.isBot) {
+                        devStats[participant.id].isBot = true;
+                    }
+                }
 
-                // If we got less than perPage, we're done
-                if (contributors.length < perPage) {
-                    break;
+                devStats[participant.id].commits += 1;
+                devStats[participant.id].additions += share.additions;
+                devStats[participant.id].deletions += share.deletions;
+                devStats[participant.id].netLines += (share.additions - share.deletions);
+                if (type === 'merge') {
+                    devStats[participant.id].mergeCommits += 1;
+                } else if (type === 'squash') {
+                    devStats[participant.id].squashMerges += 1;
                 }
-            }
+                devStats[participant.id].workTypes[workType] = (devStats[participant.id].workTypes[workType] || 0) + 1;
 
-            return allContributors;
-        } catch (error) {
-            console.error(`Error fetching contributors: ${error.message}`);
-            return [];
+                // Every referenced ticket is credited with the commit's full share of lines
+                if (tickets.length === 0) {
+                    devStats[participant.id].commitsWithoutTicket.push(commitSha);
+                }
+                tickets.forEach(ticket => {
+                    if (!devStats[participant.id].tickets[ticket]) {
+                        devStats[participant.id].tickets[ticket] = { commits: 0, additions: 0, deletions: 0 };
+                    }
+                    const ticketStats = devStats[participant.id].tickets[ticket];
+                    ticketStats.commits += 1;
+                    ticketStats.additions += share.additions;
+                    ticketStats.deletions += share.deletions;
+                });
+                languageShares.forEach(([language, languageShare]) => {
+                    addLanguages(devStats[participant.id].languages, { [language]: languageShare[index] });
+                });
+                testShares.forEach(([kind, testShare]) => {
+                    devStats[participant.id][kind].additions += testShare[index].additions;
+                    devStats[participant.id][kind].deletions += testShare[index].deletions;
+                });
+                componentShares.forEach(([component, componentShare]) => {
+                    const components = devStats[participant.id].components;
+                    if (!components[component]) {
+                        components[component] = { commits: 0, additions: 0, deletions: 0 };
+                    }
+                    components[component].commits += 1;
+                    components[component].additions += componentShare[index].additions;
+                    components[component].deletions += componentShare[index].deletions;
+                });
+                devStats[participant.id].commitShas.push(commitSha);
+            });
         }
+
+        return devStats;
     }
 
     /**
-     * Analyze commits and return statistics per developer
+     * A commit's counted lines grouped by file: { [keyOf(filename)]: { additions, deletions } }
+     * Used for languages and test/production code. Only files that pass the path rules
+     * count; without per-file counts the lines are "Unknown".
      */
-    async analyzeCommits(since, until) {
-        const commits = await this.getCommitsInRange(since, until);
-        
-        if (commits.length === 0) {
-            console.log('No commits found in the specified period.\n');
+    groupLines(rawStats, counted, keyOf) {
+        if (counted.additions + counted.deletions === 0) {
             return {};
         }
+        if (!rawStats || !rawStats.files) {
+            return { Unknown: counted };
+        }
 
-        console.log(`🔍 Analyzing ${commits.length} commits...`);
-
-        const devStats = {};
-
-        for (let idx = 0; idx < commits.length; idx++) {
-            if (idx % 10 === 0 && idx > 0) {
-                console.log(`   Processing commit ${idx}/${commits.length}...`);
+        const groups = {};
+        for (const file of rawStats.files) {
+            if (!this.pathFilter.isActive() || this.pathFilter.isCounted(file.filename)) {
+                addLanguages(groups, { [keyOf(file.filename)]: file });
             }
+        }
+        return groups;
+    }
 
-            const commit = commits[idx];
-            const author = commit.commit.author;
-            const authorName = author.name || 'Unknown';
-            const authorEmail = author.email || 'unknown@email.com';
+    /**
+     * Everyone credited for a commit: the author, then Co-authored-by trailers
+     * Returns [{ id, name, email, isBot }] with duplicates and dropped bots removed.
+     */
+    getCommitParticipants(commit) {
+        const people = [{
+            login: commit.author ? commit.author.login : null,
+            type: commit.author ? commit.author.type : null,
+            name: commit.commit.author.name,
+            email: commit.commit.author.email
+        }];
+
+        if (this.coAuthorCredit !== 'author') {
+            people.push(...parseCoAuthors(commit.commit.message));
+        }
 
-            // Use GitHub login if available, otherwise use name
-            const authorId = commit.author ? commit.author.login : authorName;
+        const participants = [];
+        const seen = new Set();
 
-            const commitSha = commit.sha;
-            const stats = await this.getCommitStats(commitSha);
+        for (const person of people) {
+            // Canonical login via aliases/.mailmap, then GitHub login, otherwise the author name
+            const identity = this.identity.resolve({ login: person.login || null, name: person.name, email: person.email });
+            const id = identity.id || identity.name || 'Unknown';
+
+            if (seen.has(id)) {
+                continue;
+            }
+            seen.add(id);
 
-            if (!devStats[authorId]) {
-                devStats[authorId] = {
-                    commits: 0,
-                    additions: 0,
-                    deletions: 0,
-                    netLines: 0,
-                    commitShas: [],
-                    email: authorEmail,
-                    name: authorName
-                };
+            const isBot = this.botFilter.isBot(person);
+            if (isBot && !this.botFilter.reportBots) {
+                continue;
             }
 
-            devStats[authorId].commits += 1;
-            devStats[authorId].additions += stats.additions;
-            devStats[authorId].deletions += stats.deletions;
-            devStats[authorId].netLines += (stats.additions - stats.deletions);
-            devStats[authorId].commitShas.push(commitSha);
+            participants.push({
+                id,
+                name: identity.name || 'Unknown',
+                email: identity.email || 'unknown@email.com',
+                isBot
+            });
         }
 
-        console.log(`✅ Analysis complete!\n`);
-        return devStats;
+        return participants;
     }
 
     /**
-     * Get report for a specific day
+     * Lines credited to each of `count` participants of a commit
+     * 'split' divides them evenly (remainders go to the first participants, so totals match).
      */
-    async getDailyReport(date = null) {
-        if (!date) {
-            date = new Date();
+    splitCredit(stats, count) {
+        if (this.coAuthorCredit !== 'split' || count <= 1) {
+            return new Array(count).fill(stats);
         }
 
-        const startOfDay = new Date(date);
-        startOfDay.setHours(0, 0, 0, 0);
+        const share = (total, index) => Math.floor(total / count) + (index < total % count ? 1 : 0);
+
+        return Array.from({ length: count }, (_, index) => ({
+            additions: share(stats.additions, index),
+            deletions: share(stats.deletions, index)
+        }));
+    }
 
-        const endOfDay = new Date(startOfDay);
-        endOfDay.setDate(endOfDay.getDate() + 1);
+    /**
+     * Get report for any period: daily/weekly/monthly, a calendar week, month, quarter or
+     * year containing the date, or a custom "YYYY-MM-DD..YYYY-MM-DD" range
+     */
+    async getPeriodReport(period, date = null) {
+        const { since, until } = getPeriodRange(period, date, this.timeZone);
+        return await this.analyzeCommits(since, until);
+    }
 
-        return await this.analyzeCommits(startOfDay, endOfDay);
+    /**
+     * Get report for a specific day
+     */
+    async getDailyReport(date = null) {
+        const { since, until } = getPeriodRange('daily', date, this.timeZone);
+        return await this.analyzeCommits(since, until);
     }
 
     /**
      * Get report for the last 7 days from today
      */
     async getWeeklyReport(date = null) {
-        if (!date) {
-            date = new Date();
-        }
-
-        // End date is today (end of day)
-        const endDate = new Date(date);
-        endDate.setHours(23, 59, 59, 999);
-
-        // Start date is 7 days ago (start of day)
-        const startDate = new Date(date);
-        startDate.setDate(startDate.getDate() - 7);
-        startDate.setHours(0, 0, 0, 0);
-
-        return await this.analyzeCommits(startDate, endDate);
+        const { since, until } = getPeriodRange('weekly', date, this.timeZone);
+        return await this.analyzeCommits(since, until);
     }
 
     /**
      * Get report for the last 30 days from today
      */
     async getMonthlyReport(date = null) {
-        if (!date) {
-            date = new Date();
-        }
-
-        // End date is today (end of day)
-        const endDate = new Date(date);
-        endDate.setHours(23, 59, 59, 999);
-
-        // Start date is 30 days ago (start of day)
-        const startDate = new Date(date);
-        startDate.setDate(startDate.getDate() - 30);
-        startDate.setHours(0, 0, 0, 0);
-
-        return await this.analyzeCommits(startDate, endDate);
+        const { since, until } = getPeriodRange('monthly', date, this.timeZone);
+        return await this.analyzeCommits(since, until);
     }
 
     /**
@@ -331,6 +1545,11 @@ class GitHubDevTracker {
         const leaderboard = [];
 
         for (const [dev, data] of Object.entries(stats)) {
+            // Bots never rank, they are listed separately
+            if (data.isBot) {
+                continue;
+            }
+
             leaderboard.push({
                 username: dev,
                 name: data.name,
@@ -361,7 +1580,14 @@ class GitHubDevTracker {
         const activeDevs = new Set(Object.keys(activeStats));
 
         const inactiveDevs = allContributors
-            .filter(contributor => !activeDevs.has(contributor.login))
+            .filter(contributor => {
+                // Several contributor entries can resolve to the same login
+                if (activeDevs.has(contributor.login)) {
+                    return false;
+                }
+                activeDevs.add(contributor.login);
+                return true;
+            })
             .map(contributor => ({
                 username: contributor.login,
                 name: contributor.name,
@@ -384,25 +1610,38 @@ class GitHubDevTracker {
 
         console.log('\n' + '='.repeat(80));
         console.log('SoluLab GitHub Contribution Report'.padStart(50));
-        console.log(`Repository: ${this.repoName} (ALL BRANCHES)`.padStart(50));
+        console.log(`Repository: ${this.repoName} (${this.getBranchPolicyLabel()})`.padStart(50));
         
         // Show date range for weekly and monthly reports
-        if (period === 'weekly') {
-            const endDate = new Date(date);
-            const startDate = new Date(date);
-            startDate.setDate(startDate.getDate() - 7);
-            console.log(`${period.toUpperCase()} REPORT (Last 7 Days) - ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
-        } else if (period === 'monthly') {
-            const endDate = new Date(date);
-            const startDate = new Date(date);
-            startDate.setDate(startDate.getDate() - 30);
-            console.log(`${period.toUpperCase()} REPORT (Last 30 Days) - ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
-        } else {
-            console.log(`${period.toUpperCase()} REPORT - ${date.toISOString().split('T')[0]}`);
-        }
+        console.log(describePeriod(period, date, this.timeZone));
         
         console.log('='.repeat(80) + '\n');
 
+        await this.printLeaderboard(stats, this.getBranchPolicyLabel());
+    }
+
+    /**
+     * Print the same report for the commits between two tags or refs
+     */
+    async printReleaseReport(base, head, stats) {
+        console.log('\n' + '='.repeat(80));
+        console.log('SoluLab GitHub Contribution Report'.padStart(50));
+        console.log(`Repository: ${this.repoName}`.padStart(50));
+        console.log(`RELEASE REPORT - ${base}..${head}`);
+        console.log('='.repeat(80) + '\n');
+
+        await this.printLeaderboard(stats, `${base}..${head}`);
+    }
+
+    /**
+     * Leaderboard table (with inactive team members), top contributor, summary and bots
+     * @param scope What the commits cover, shown next to the commit total
+     */
+    async printLeaderboard(stats, scope) {
+        // Bots are reported after the summary
+        const { humans, bots } = GitHubDevTracker.splitBots(stats);
+        stats = humans;
+
         // Get all contributors including inactive ones
         const inactiveDevs = await this.getInactiveDevs(stats);
 
@@ -453,13 +1692,14 @@ class GitHubDevTracker {
         // If no active or inactive developers
         if (activeLeaderboard.length === 0 && inactiveDevs.length === 0) {
             console.log('No team members found.\n');
+            this.printBotReport(bots);
             return;
         }
 
         console.log(table.toString());
 
-        // Show top contributor (if any)
-        if (activeLeaderboard.length > 0) {
+        // Show top contributor (if anyone committed)
+        if (activeLeaderboard.length > 0 && activeLeaderboard[0].commits > 0) {
             console.log(`\n🏆 Top Contributor: ${activeLeaderboard[0].username}`);
             console.log(`   Total Commits: ${activeLeaderboard[0].commits}`);
             console.log(`   Net Lines: ${activeLeaderboard[0].netLines}`);
@@ -479,11 +1719,288 @@ class GitHubDevTracker {
         console.log(`Total Team Members: ${totalDevs}`);
         console.log(`Active Developers: ${activeDevCount}`);
         console.log(`Inactive Developers: ${inactiveDevCount}`);
-        console.log(`Total Commits: ${totalCommits} (from ALL branches)`);
+        console.log(`Total Commits: ${totalCommits} (${scope})`);
+        console.log(`Commit Types: ${describeCommitTypes(stats, this.mergePolicy)}`);
         console.log(`Total Lines Added: +${totalAdditions}`);
         console.log(`Total Lines Deleted: -${totalDeletions}`);
         console.log(`Net Lines Changed: ${totalNet}`);
+        if (this.trackPullRequests) {
+            const prs = summarizePullRequests(stats);
+            const reviews = sumReviews(stats);
+            console.log(`Pull Requests: ${prs.opened} opened, ${prs.merged} merged, ${prs.closed} closed`);
+            console.log(`Reviews: ${reviews.submitted} submitted, ${reviews.approvals} approvals, ${reviews.comments} review comments`);
+        }
+        if (this.trackIssues) {
+            const issues = sumIssues(stats);
+            console.log(`Issues: ${issues.opened} opened, ${issues.closed} closed, ${issues.comments} comments`);
+        }
         console.log('-'.repeat(80) + '\n');
+
+        // Commit based tables skip people who were only active in pull requests, reviews or issues
+        const committers = activeLeaderboard.filter(dev => dev.commits > 0);
+        this.printWorkTypes(committers, stats);
+        this.printTickets(committers, stats);
+        this.printLanguages(committers, stats);
+        this.printTests(committers, stats);
+        this.printComponents(stats);
+        this.printPullRequests(activeLeaderboard, stats);
+        this.printReviews(activeLeaderboard, stats);
+        this.printIssues(activeLeaderboard, stats);
+        this.printBotReport(bots);
+    }
+
+    /**
+     * Print issues opened, closed and commented on per person
+     */
+    printIssues(leaderboard, stats) {
+        const people = leaderboard.filter(dev => hasIssues(stats[dev.username]));
+        if (people.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', ...ISSUE_HEADERS],
+            colWidths: [20, 15, 10, 14, 10]
+        });
+
+        people
+            .sort((a, b) => stats[b.username].issues.comments - stats[a.username].issues.comments)
+            .forEach(dev => table.push([dev.username, ...issueColumns(stats[dev.username].issues)]));
+
+        table.push(['Total', ...issueColumns(sumIssues(stats))]);
+
+        console.log('🐞 Issues (pull requests not included)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print reviews submitted, approvals, changes requested and review comments per reviewer
+     */
+    printReviews(leaderboard, stats) {
+        const reviewers = leaderboard.filter(dev => hasReviews(stats[dev.username]));
+        if (reviewers.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', ...REVIEW_HEADERS],
+            colWidths: [20, 10, 11, 14, 10]
+        });
+
+        reviewers
+            .sort((a, b) => stats[b.username].reviews.submitted - stats[a.username].reviews.submitted)
+            .forEach(dev => table.push([dev.username, ...reviewColumns(stats[dev.username].reviews)]));
+
+        table.push(['Total', ...reviewColumns(sumReviews(stats))]);
+
+        console.log('👀 Code Reviews (on pull requests by others)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print the lines each developer changed per language
+     */
+    printLanguages(leaderboard, stats) {
+        if (leaderboard.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', 'Languages (lines +/-)'],
+            colWidths: [20, 70],
+            wordWrap: true
+        });
+
+        leaderboard.forEach(dev => table.push([dev.username, describeLanguages(stats[dev.username].languages, 4)]));
+
+        console.log('💻 Languages');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print test and production lines per developer, with test lines added per production line added
+     * and the lines of commits without per-file counts, which the ratio leaves out
+     */
+    printTests(leaderboard, stats) {
+        const total = TestPaths.sumTestLines(stats);
+        if (leaderboard.length === 0 || !TestPaths.hasLines(total)) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', 'Test Lines (+/-)', 'Production Lines (+/-)', 'Unclassified (+/-)', 'Test Ratio'],
+            colWidths: [20, 20, 24, 20, 13]
+        });
+
+        const lines = kind => `+${kind.additions}/-${kind.deletions}`;
+        leaderboard.forEach(dev => {
+            const data = stats[dev.username];
+            table.push([
+                dev.username,
+                lines(data.testLines),
+                lines(data.productionLines),
+                lines(data.unclassifiedLines || { additions: 0, deletions: 0 }),
+                TestPaths.formatTestRatio(data)
+            ]);
+        });
+        table.push(['Total', lines(total.testLines), lines(total.productionLines), lines(total.unclassifiedLines), TestPaths.formatTestRatio(total)]);
+
+        console.log('🧪 Tests vs Production (test lines added per production line added)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print the lines changed per monorepo component, with the developers who changed them most
+     */
+    printComponents(stats) {
+        const components = Object.entries(ComponentMap.summarize(stats))
+            .sort(([, a], [, b]) => (b.additions + b.deletions) - (a.additions + a.deletions));
+        if (components.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Component', 'Commits', 'Lines (+/-)', 'Top Developers (by lines)'],
+            colWidths: [30, 10, 18, 50],
+            wordWrap: true
+        });
+
+        components.forEach(([component, c]) => {
+            table.push([component, c.commits, `+${c.additions}/-${c.deletions}`, ComponentMap.describeDevelopers(c.developers)]);
+        });
+
+        console.log('📦 Components');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print pull requests opened, merged and closed by each developer, with median review and merge times
+     */
+    printPullRequests(leaderboard, stats) {
+        const authors = leaderboard.filter(dev => hasPullRequests(stats[dev.username]));
+        if (authors.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', ...PULL_REQUEST_HEADERS],
+            colWidths: [20, 12, 10, 10, 15, 12]
+        });
+
+        authors
+            .sort((a, b) => stats[b.username].pullRequests.merged - stats[a.username].pullRequests.merged)
+            .forEach(dev => table.push([dev.username, ...pullRequestColumns(stats[dev.username].pullRequests)]));
+
+        const total = summarizePullRequests(stats);
+        table.push([
+            'Total',
+            total.opened,
+            total.merged,
+            total.closed,
+            formatHours(total.medianHoursToFirstReview),
+            formatHours(total.medianHoursToMerge)
+        ]);
+
+        console.log('🔀 Pull Requests (median time to first review / to merge)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print commits per work type (feat, fix, ...) for each active developer
+     */
+    printWorkTypes(leaderboard, stats) {
+        if (leaderboard.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', ...WORK_TYPES],
+            colWidths: [20, ...WORK_TYPES.map(() => 10)]
+        });
+
+        leaderboard.forEach(dev => {
+            table.push([dev.username, ...workTypeColumns(stats[dev.username].workTypes)]);
+        });
+        table.push(['Total', ...workTypeColumns(sumWorkTypes(stats))]);
+
+        console.log('🧩 Work Types (commits by message type)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print the tickets each active developer worked on, and their commits without a ticket
+     */
+    printTickets(leaderboard, stats) {
+        if (leaderboard.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', 'Tickets', 'Lines (+/-)', 'No Ticket', 'Top Tickets (by lines)'],
+            colWidths: [20, 10, 16, 11, 45],
+            wordWrap: true
+        });
+
+        leaderboard.forEach(dev => {
+            const data = stats[dev.username];
+            const tickets = Object.entries(data.tickets || {})
+                .sort(([, a], [, b]) => (b.additions + b.deletions) - (a.additions + a.deletions));
+            const additions = tickets.reduce((sum, [, t]) => sum + t.additions, 0);
+            const deletions = tickets.reduce((sum, [, t]) => sum + t.deletions, 0);
+
+            table.push([
+                dev.username,
+                tickets.length,
+                `+${additions}/-${deletions}`,
+                (data.commitsWithoutTicket || []).length,
+                tickets.slice(0, 3).map(([ticket, t]) => `${ticket} (+${t.additions}/-${t.deletions})`).join(', ')
+                    + (tickets.length > 3 ? ` (+${tickets.length - 3} more)` : '')
+            ]);
+        });
+
+        console.log('🎫 Tickets (from commit messages)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Split developer stats into people and bot/service accounts
+     */
+    static splitBots(stats) {
+        const humans = {};
+        const bots = {};
+
+        for (const [dev, data] of Object.entries(stats)) {
+            if (data.isBot) {
+                bots[dev] = data;
+            } else {
+                humans[dev] = data;
+            }
+        }
+
+        return { humans, bots };
+    }
+
+    /**
+     * Print bot and service-account activity (only present when REPORT_BOTS is on)
+     */
+    printBotReport(bots) {
+        if (Object.keys(bots).length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Bot / Service Account', 'Commits', 'Additions', 'Deletions', 'Net Lines'],
+            colWidths: [34, 10, 12, 12, 12]
+        });
+
+        Object.entries(bots)
+            .sort(([, a], [, b]) => b.commits - a.commits)
+            .forEach(([bot, data]) => {
+                table.push([bot, data.commits, `+${data.additions}`, `-${data.deletions}`, data.netLines]);
+            });
+
+        console.log('🤖 Bots & Service Accounts (not ranked)');
+        console.log(table.toString() + '\n');
     }
 
     /**
@@ -499,7 +2016,7 @@ class GitHubDevTracker {
 
         console.log('\n' + '='.repeat(80));
         console.log('INACTIVE DEVELOPERS REPORT'.padStart(50));
-        console.log(`Date: ${date.toISOString().split('T')[0]}`);
+        console.log(`Date: ${formatDate(date, this.timeZone)} (${this.timeZone})`);
         console.log('='.repeat(80) + '\n');
 
         if (inactive.length === 0) {
@@ -526,68 +2043,191 @@ class GitHubDevTracker {
     }
 }
 
+/**
+ * Settings from config/Config.js for the command line
+ * The config module exits without GITHUB_TOKEN, so the --token value stands in for it.
+ */
+function loadConfig(token) {
+    if (!process.env.GITHUB_TOKEN) {
+        process.env.GITHUB_TOKEN = token;
+    }
+    return require('../config/Config');
+}
+
 async function main() {
     const program = new Command();
 
     program
         .name('github-dev-tracker')
-        .description('Track GitHub developer contributions for SoluLab repositories (ALL BRANCHES)')
+        .description('Track GitHub developer contributions for SoluLab repositories')
         .requiredOption('--org <organization>', 'GitHub organization name (e.g., SoluLab)')
         .requiredOption('--repo <repository>', 'Repository name')
         .requiredOption('--token <token>', 'GitHub personal access token')
-        .option('--period <type>', 'Report period: daily, weekly, monthly, or all', 'all')
+        .option('--period <type>', 'Report period: daily, weekly, monthly, week, month, quarter, year, or all', 'all')
         .option('--date <date>', 'Date for report (YYYY-MM-DD), defaults to today')
+        .option('--since <date>', 'Report on a custom range starting this day (YYYY-MM-DD)')
+        .option('--until <date>', 'Last day of the custom range (YYYY-MM-DD), defaults to --date or today')
+        .option('--timezone <zone>', 'IANA timezone for day boundaries (e.g. Asia/Kolkata), defaults to REPORT_TZ or the system zone')
+        .option('--release <base..head>', 'Report on the commits between two tags or refs (e.g. v1.4.0..v1.5.0) instead of a period')
         .option('--inactive', 'Show inactive developers report (separate)')
-        .option('--export', 'Export to JSON file');
+        .option('--export', 'Export to JSON file')
+        .option('--graphql', 'Count commits from GraphQL batch totals when no path rule or component needs per-file counts')
+        .option('--max-retries <count>', 'Retries per request on rate limits and server errors', '5')
+        .option('--max-concurrency <count>', 'Maximum parallel GitHub requests', '8')
+        .option('--commit-store <path>', 'Local commit store file for incremental sync')
+        .option('--backend <type>', 'Data source: api or git (local mirror)', 'api')
+        .option('--mirror-dir <dir>', 'Directory holding local git mirrors (default: GIT_MIRROR_DIR or data/mirrors)')
+        .option('--git-path <path>', 'Read commits from this local git repository instead of GitHub')
+        .option('--include <globs>', 'Comma-separated globs; only matching files count towards lines')
+        .option('--exclude <globs>', 'Comma-separated globs of files that never count towards lines')
+        .option('--no-default-excludes', 'Also count lockfiles, vendored, generated and minified files')
+        .option('--bots <accounts>', 'Comma-separated extra bot/service accounts (logins, names or emails, * wildcards)')
+        .option('--report-bots', 'List bot activity in a separate section instead of dropping it')
+        .option('--co-author-credit <policy>', 'Credit for Co-authored-by trailers: full, split or author', 'full')
+        .option('--branch-policy <policy>', 'Branches to walk: all, default or protected', 'all')
+        .option('--branch-include <globs>', 'Comma-separated branch globs to keep (e.g. main,release/*)')
+        .option('--branch-exclude <globs>', 'Comma-separated branch globs to skip (e.g. wip/*,experiment/**)')
+        .option('--branch-rules <path>', 'JSON file with per-repository branch rules')
+        .option('--no-dedupe', 'Count cherry-picked and rebased copies of a change separately')
+        .option('--merge-policy <policy>', 'Merge commits: skip, commits-only or full', 'commits-only')
+        .option('--ticket-patterns <regexes>', 'Comma-separated regular expressions matching ticket IDs (default: Jira keys and #issues)')
+        .option('--no-pull-requests', 'Skip pull request metrics (saves API calls)')
+        .option('--no-issues', 'Skip issue activity (saves API calls)')
+        .option('--repo-languages', 'Use the languages GitHub detects per repository for shared extensions (.h, .m, ...)')
+        .option('--test-paths <globs>', 'Comma-separated globs marking test files (replace the defaults)')
+        .option('--components <prefixes>', 'Comma-separated monorepo component prefixes, e.g. "packages/*,web=apps/web"')
+        .option('--components-file <path>', 'JSON file with per-repository components')
+        .option('--detect-workspaces', 'Add the workspace packages each repository declares as components');
 
     program.parse();
 
     const options = program.opts();
+    const config = loadConfig(options.token);
+
+    let timeZone;
+    try {
+        timeZone = resolveTimeZone(options.timezone || process.env.REPORT_TZ);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
 
-    // Parse date if provided
+    // Parse date if provided (a YYYY-MM-DD date is that day in the report timezone)
     let reportDate = new Date();
     if (options.date) {
-        reportDate = new Date(options.date);
-        if (isNaN(reportDate.getTime())) {
+        reportDate = parseDate(options.date, timeZone);
+        if (!reportDate) {
             console.error('Invalid date format. Use YYYY-MM-DD');
             process.exit(1);
         }
     }
 
+    // --since/--until report on a custom range instead of a named period
+    if (options.until && !options.since) {
+        console.error('--until needs --since');
+        process.exit(1);
+    }
+    if (options.since) {
+        const since = parseDate(options.since, timeZone);
+        const until = options.until ? parseDate(options.until, timeZone) : reportDate;
+        if (!since || !until) {
+            console.error('Invalid --since/--until date. Use YYYY-MM-DD');
+            process.exit(1);
+        }
+        if (since > until) {
+            console.error('--since must not be after --until');
+            process.exit(1);
+        }
+        options.period = customPeriod(since, until, timeZone);
+    }
+
+    if (options.period !== 'all' && !isValidPeriod(options.period)) {
+        console.error('Invalid period. Use daily, weekly, monthly, week, month, quarter, year, or all');
+        process.exit(1);
+    }
+
+    if (!['full', 'split', 'author'].includes(options.coAuthorCredit)) {
+        console.error('Invalid co-author credit policy. Use full, split, or author');
+        process.exit(1);
+    }
+
+    if (!BranchPolicy.POLICIES.includes(options.branchPolicy)) {
+        console.error('Invalid branch policy. Use all, default, or protected');
+        process.exit(1);
+    }
+
+    if (!MERGE_POLICIES.includes(options.mergePolicy)) {
+        console.error('Invalid merge policy. Use skip, commits-only, or full');
+        process.exit(1);
+    }
+
     // Initialize tracker
-    const tracker = new GitHubDevTracker(options.org, options.repo, options.token);
+    const tracker = new GitHubDevTracker(options.org, options.repo, options.token, {
+        useGraphQL: !!options.graphql,
+        maxRetries: parseInt(options.maxRetries),
+        maxConcurrency: parseInt(options.maxConcurrency),
+        commitStore: !!options.commitStore,
+        commitStorePath: options.commitStore,
+        backend: options.backend,
+        gitMirrorDir: options.mirrorDir || config.tracking.gitMirrorDir,
+        gitRepoPath: options.gitPath,
+        includePaths: options.include ? options.include.split(',').map(p => p.trim()) : [],
+        excludePaths: options.exclude ? options.exclude.split(',').map(p => p.trim()) : [],
+        defaultExcludes: options.defaultExcludes,
+        botAccounts: options.bots ? options.bots.split(',').map(b => b.trim()) : [],
+        reportBots: !!options.reportBots,
+        coAuthorCredit: options.coAuthorCredit,
+        branchPolicy: options.branchPolicy,
+        branchInclude: options.branchInclude ? options.branchInclude.split(',').map(b => b.trim()) : [],
+        branchExclude: options.branchExclude ? options.branchExclude.split(',').map(b => b.trim()) : [],
+        branchRulesPath: options.branchRules,
+        dedupeCommits: options.dedupe,
+        mergePolicy: options.mergePolicy,
+        ticketPatterns: options.ticketPatterns || config.tracking.ticketPatterns,
+        pullRequests: options.pullRequests,
+        issues: options.issues,
+        repoLanguages: !!options.repoLanguages,
+        testPaths: options.testPaths || config.tracking.testPaths,
+        components: options.components || config.tracking.components,
+        componentsPath: options.componentsFile || config.tracking.componentsPath,
+        detectWorkspaces: !!options.detectWorkspaces,
+        timeZone
+    });
+
+    // Release mode: base..head instead of a period
+    let release = null;
+    if (options.release) {
+        const refs = options.release.split('..');
+        const [base, head] = refs;
+        if (refs.length !== 2 || !base || !head) {
+            console.error('Invalid release range. Use <base>..<head>, e.g. v1.4.0..v1.5.0');
+            process.exit(1);
+        }
+        release = { base, head };
+    }
 
     try {
-        // Generate reports based on period
-        if (options.period === 'daily' || options.period === 'all') {
-            const dailyStats = await tracker.getDailyReport(reportDate);
-            await tracker.printReport('daily', dailyStats, reportDate);
+        if (release) {
+            const stats = await tracker.analyzeRelease(release.base, release.head);
+            await tracker.printReleaseReport(release.base, release.head, stats);
             if (options.export) {
-                await tracker.exportToJson(
-                    dailyStats,
-                    `daily_report_${reportDate.toISOString().split('T')[0]}.json`
-                );
+                const refName = ref => ref.replace(/[^\w.-]+/g, '-');
+                await tracker.exportToJson(stats, `release_report_${options.repo}_${refName(release.base)}_to_${refName(release.head)}.json`);
             }
+            tracker.client.printUsage();
+            return;
         }
 
-        if (options.period === 'weekly' || options.period === 'all') {
-            const weeklyStats = await tracker.getWeeklyReport(reportDate);
-            await tracker.printReport('weekly', weeklyStats, reportDate);
-            if (options.export) {
-                await tracker.exportToJson(
-                    weeklyStats,
-                    `weekly_report_${reportDate.toISOString().split('T')[0]}.json`
-                );
-            }
-        }
+        // Generate reports based on period (one fetch covers every requested period)
+        const periods = options.period === 'all' ? ['daily', 'weekly', 'monthly'] : [options.period];
+        const statsByPeriod = await tracker.analyzePeriods(periods, reportDate);
 
-        if (options.period === 'monthly' || options.period === 'all') {
-            const monthlyStats = await tracker.getMonthlyReport(reportDate);
-            await tracker.printReport('monthly', monthlyStats, reportDate);
+        for (const period of periods) {
+            await tracker.printReport(period, statsByPeriod[period], reportDate);
             if (options.export) {
                 await tracker.exportToJson(
-                    monthlyStats,
-                    `monthly_report_${reportDate.toISOString().split('T')[0]}.json`
+                    statsByPeriod[period],
+                    getReportFileName(period, reportDate, timeZone)
                 );
             }
         }
@@ -596,7 +2236,10 @@ async function main() {
         if (options.inactive) {
             await tracker.printInactiveReport(reportDate);
         }
+
+        tracker.client.printUsage();
     } catch (error) {
+        tracker.client.printUsage();
         console.error(`Error: ${error.message}`);
         process.exit(1);
     }
@@ -607,4 +2250,6 @@ if (require.main === module) {
     main();
 }
 
+GitHubDevTracker.createDevStats = createDevStats;
+
 module.exports = GitHubDevTracker; 
@@ -0,0 +1,199 @@
+/**
+ * Author identity resolution
+ * Maps the different names and emails a developer commits with to one canonical login.
+ *
+ * Sources, applied in this order:
+ * 1. .mailmap (git format) - rewrites commit names/emails to a proper name/email
+ * 2. Alias file (JSON)     - { "login": ["email", "name", "other-login", ...] }
+ * 3. GitHub login          - when GitHub linked the commit to an account, or from a
+ *                            <id>+<login>@users.noreply.github.com address
+ * 4. Learned emails        - emails seen on linked commits in the same run
+ * 5. The (mailmapped) author name as a last resort
+ */
+
+const fs = require('fs').promises;
+
+class IdentityResolver {
+    /**
+     * @param options { mailmapPath, aliasesPath } - missing files are ignored
+     */
+    constructor(options = {}) {
+        this.mailmapPath = options.mailmapPath || null;
+        this.aliasesPath = options.aliasesPath || null;
+        this.mailmap = [];             // [{ properName, properEmail, commitName, commitEmail }]
+        this.aliases = new Map();      // lower-cased login/email/name -> canonical login
+        this.emailToLogin = new Map(); // lower-cased email -> login learned from linked commits
+        this.logins = new Set();       // logins seen on linked commits
+        this.loading = null;
+    }
+
+    /**
+     * Load the mailmap and alias files (only once, concurrent callers share the same promise)
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this.readFiles();
+        }
+        return this.loading;
+    }
+
+    async readFiles() {
+        const mailmap = await IdentityResolver.readOptional(this.mailmapPath);
+        if (mailmap) {
+            this.mailmap = IdentityResolver.parseMailmap(mailmap);
+        }
+
+        const aliases = await IdentityResolver.readOptional(this.aliasesPath);
+        if (aliases) {
+            for (const [login, identities] of Object.entries(JSON.parse(aliases))) {
+                this.aliases.set(login.toLowerCase(), login);
+                identities.forEach(identity => this.aliases.set(identity.toLowerCase(), login));
+            }
+        }
+
+        if (this.mailmap.length > 0 || this.aliases.size > 0) {
+            console.log(`👤 Identity mapping loaded: ${this.mailmap.length} mailmap entries, ${this.aliases.size} aliases`);
+        }
+    }
+
+    static async readOptional(filePath) {
+        if (!filePath) {
+            return null;
+        }
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Parse .mailmap lines:
+     *   Proper Name <proper@email>
+     *   <proper@email> <commit@email>
+     *   Proper Name <proper@email> <commit@email>
+     *   Proper Name <proper@email> Commit Name <commit@email>
+     */
+    static parseMailmap(content) {
+        const entries = [];
+
+        for (const rawLine of content.split('\n')) {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const match = line.match(/^([^<]*)<([^>]*)>(?:\s*([^<]*)<([^>]*)>)?$/);
+            if (!match) {
+                continue;
+            }
+
+            const [, properName, properEmail, commitName, commitEmail] = match;
+
+            if (commitEmail === undefined) {
+                // Only a proper name for commits made with this email
+                entries.push({ properName: properName.trim() || null, properEmail: null, commitName: null, commitEmail: properEmail.toLowerCase() });
+            } else {
+                entries.push({
+                    properName: properName.trim() || null,
+                    properEmail: properEmail || null,
+                    commitName: commitName.trim() || null,
+                    commitEmail: commitEmail.toLowerCase()
+                });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Apply the mailmap to a commit name/email (entries with a commit name win)
+     */
+    applyMailmap(name, email) {
+        const lowerEmail = (email || '').toLowerCase();
+        let best = null;
+
+        for (const entry of this.mailmap) {
+            if (entry.commitEmail !== lowerEmail) {
+                continue;
+            }
+            if (entry.commitName && entry.commitName !== name) {
+                continue;
+            }
+            if (!best || entry.commitName) {
+                best = entry;
+            }
+        }
+
+        if (!best) {
+            return { name, email };
+        }
+        return {
+            name: best.properName || name,
+            email: best.properEmail || email
+        };
+    }
+
+    /**
+     * Remember which login an email belongs to, from a commit GitHub linked to an account
+     */
+    learn({ login, name, email }) {
+        if (!login) {
+            return;
+        }
+        this.logins.add(login);
+
+        const canonical = this.applyMailmap(name, email);
+        if (canonical.email) {
+            const key = canonical.email.toLowerCase();
+            // First link wins so a shared address cannot move commits between accounts
+            if (!this.emailToLogin.has(key)) {
+                this.emailToLogin.set(key, login);
+            }
+        }
+    }
+
+    /**
+     * Canonical { id, name, email } for a commit author
+     */
+    resolve({ login, name, email }) {
+        const canonical = this.applyMailmap(name, email);
+        const lowerEmail = (canonical.email || '').toLowerCase();
+        const githubLogin = login || IdentityResolver.loginFromNoreply(lowerEmail);
+
+        const id = (githubLogin && this.aliases.get(githubLogin.toLowerCase()))
+            || (lowerEmail && this.aliases.get(lowerEmail))
+            || (canonical.name && this.aliases.get(canonical.name.toLowerCase()))
+            || githubLogin
+            || (lowerEmail && this.emailToLogin.get(lowerEmail))
+            || canonical.name;
+
+        return { id, name: canonical.name, email: canonical.email };
+    }
+
+    /**
+     * GitHub login from a private noreply address (e.g. 12345+octocat@users.noreply.github.com)
+     */
+    static loginFromNoreply(email) {
+        const match = (email || '').match(/^(?:\d+\+)?([^@+]+)@users\.noreply\.github\.com$/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Canonical key for an already aggregated developer key (login, alias or author name)
+     */
+    resolveKey(key, email = null) {
+        const alias = key && this.aliases.get(key.toLowerCase());
+        if (alias) {
+            return alias;
+        }
+        if (this.logins.has(key)) {
+            return key;
+        }
+        if (email) {
+            return this.resolve({ login: null, name: key, email }).id;
+        }
+        return key;
+    }
+}
+
+module.exports = IdentityResolver;
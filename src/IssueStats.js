@@ -0,0 +1,49 @@
+/**
+ * Issue activity per developer (pull requests are left out, they have their own metrics)
+ *
+ * - opened:    issues created inside the window
+ * - closed:    issues closed inside the window, credited to whoever closed them
+ * - commented: distinct issues commented on inside the window
+ * - comments:  comments written inside the window
+ */
+
+function emptyIssueStats() {
+    return { opened: 0, closed: 0, commented: 0, comments: 0 };
+}
+
+/**
+ * Whether a developer opened, closed or commented on any issue
+ */
+function hasIssues(data) {
+    const issues = data && data.issues;
+    return !!issues && (issues.opened + issues.closed + issues.comments) > 0;
+}
+
+/**
+ * Issue stats summed over developer stats
+ */
+function sumIssues(stats) {
+    const total = emptyIssueStats();
+
+    for (const data of Object.values(stats)) {
+        for (const field of Object.keys(total)) {
+            total[field] += (data.issues && data.issues[field]) || 0;
+        }
+    }
+
+    return total;
+}
+
+/**
+ * Opened, closed, commented on and comments, for table rows
+ */
+function issueColumns(issues) {
+    if (!issues) {
+        issues = emptyIssueStats();
+    }
+    return [issues.opened, issues.closed, issues.commented, issues.comments];
+}
+
+const ISSUE_HEADERS = ['Issues Opened', 'Closed', 'Commented On', 'Comments'];
+
+module.exports = { ISSUE_HEADERS, emptyIssueStats, hasIssues, sumIssues, issueColumns };
@@ -0,0 +1,162 @@
+/**
+ * Programming language of a changed file, from its extension or well-known file name
+ *
+ * Extensions shared by several languages (.h, .m, ...) pick the first candidate the
+ * repository uses when its languages are known (GitHub languages endpoint), otherwise
+ * the first candidate. Unrecognized files count as "Other"; commits counted from
+ * GraphQL totals (USE_GRAPHQL without path rules) have no files and count as "Unknown".
+ */
+
+const path = require('path');
+
+const EXTENSION_LANGUAGES = {
+    '.sol': 'Solidity',
+    '.vy': 'Vyper',
+    '.ts': 'TypeScript',
+    '.tsx': 'TypeScript',
+    '.mts': 'TypeScript',
+    '.cts': 'TypeScript',
+    '.js': 'JavaScript',
+    '.jsx': 'JavaScript',
+    '.mjs': 'JavaScript',
+    '.cjs': 'JavaScript',
+    '.vue': 'Vue',
+    '.svelte': 'Svelte',
+    '.py': 'Python',
+    '.ipynb': 'Jupyter Notebook',
+    '.go': 'Go',
+    '.rs': 'Rust',
+    '.java': 'Java',
+    '.kt': 'Kotlin',
+    '.kts': 'Kotlin',
+    '.scala': 'Scala',
+    '.swift': 'Swift',
+    '.mm': 'Objective-C++',
+    '.c': 'C',
+    '.cc': 'C++',
+    '.cpp': 'C++',
+    '.cxx': 'C++',
+    '.hpp': 'C++',
+    '.hh': 'C++',
+    '.cs': 'C#',
+    '.fs': 'F#',
+    '.rb': 'Ruby',
+    '.php': 'PHP',
+    '.dart': 'Dart',
+    '.ex': 'Elixir',
+    '.exs': 'Elixir',
+    '.erl': 'Erlang',
+    '.hs': 'Haskell',
+    '.clj': 'Clojure',
+    '.lua': 'Lua',
+    '.r': 'R',
+    '.jl': 'Julia',
+    '.move': 'Move',
+    '.cairo': 'Cairo',
+    '.sh': 'Shell',
+    '.bash': 'Shell',
+    '.zsh': 'Shell',
+    '.ps1': 'PowerShell',
+    '.sql': 'SQL',
+    '.graphql': 'GraphQL',
+    '.gql': 'GraphQL',
+    '.proto': 'Protocol Buffers',
+    '.html': 'HTML',
+    '.htm': 'HTML',
+    '.css': 'CSS',
+    '.scss': 'SCSS',
+    '.sass': 'SCSS',
+    '.less': 'Less',
+    '.md': 'Markdown',
+    '.mdx': 'Markdown',
+    '.json': 'JSON',
+    '.yml': 'YAML',
+    '.yaml': 'YAML',
+    '.toml': 'TOML',
+    '.xml': 'XML',
+    '.tf': 'HCL',
+    '.hcl': 'HCL'
+};
+
+const FILENAME_LANGUAGES = {
+    'dockerfile': 'Dockerfile',
+    'makefile': 'Makefile',
+    'gemfile': 'Ruby',
+    'rakefile': 'Ruby',
+    'jenkinsfile': 'Groovy'
+};
+
+// Extensions used by more than one language, most common first
+const AMBIGUOUS_EXTENSIONS = {
+    '.h': ['C', 'C++', 'Objective-C'],
+    '.m': ['Objective-C', 'MATLAB'],
+    '.pl': ['Perl', 'Prolog'],
+    '.v': ['Verilog', 'Coq']
+};
+
+/**
+ * Language of a file path
+ * @param repoLanguages Languages GitHub detected in the repository (optional, settles .h, .m, ...)
+ */
+function languageOf(filename, repoLanguages = null) {
+    const base = path.posix.basename(filename || '').toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(FILENAME_LANGUAGES, base)) {
+        return FILENAME_LANGUAGES[base];
+    }
+    if (base.startsWith('dockerfile.')) {
+        return 'Dockerfile';
+    }
+
+    const extension = path.posix.extname(base);
+    const candidates = AMBIGUOUS_EXTENSIONS[extension];
+    if (candidates) {
+        return (repoLanguages && candidates.find(language => repoLanguages.includes(language))) || candidates[0];
+    }
+
+    return EXTENSION_LANGUAGES[extension] || 'Other';
+}
+
+/**
+ * Add { language: { additions, deletions } } maps (in place)
+ */
+function addLanguages(target, languages) {
+    for (const [language, lines] of Object.entries(languages || {})) {
+        if (!target[language]) {
+            target[language] = { additions: 0, deletions: 0 };
+        }
+        target[language].additions += lines.additions;
+        target[language].deletions += lines.deletions;
+    }
+    return target;
+}
+
+/**
+ * Language lines summed over developer stats
+ */
+function sumLanguages(stats) {
+    return Object.values(stats).reduce((total, data) => addLanguages(total, data.languages), {});
+}
+
+/**
+ * [language, { additions, deletions }] entries, most lines changed first
+ */
+function sortLanguages(languages) {
+    return Object.entries(languages || {})
+        .filter(([, lines]) => lines.additions + lines.deletions > 0)
+        .sort(([, a], [, b]) => (b.additions + b.deletions) - (a.additions + a.deletions));
+}
+
+/**
+ * Top languages for table cells, e.g. "TypeScript +1200/-300, Solidity +80/-4 (+2 more)"
+ */
+function describeLanguages(languages, limit = 3) {
+    const sorted = sortLanguages(languages);
+    if (sorted.length === 0) {
+        return '-';
+    }
+
+    const shown = sorted.slice(0, limit).map(([language, lines]) => `${language} +${lines.additions}/-${lines.deletions}`);
+    return shown.join(', ') + (sorted.length > limit ? ` (+${sorted.length - limit} more)` : '');
+}
+
+module.exports = { languageOf, addLanguages, sumLanguages, sortLanguages, describeLanguages };
@@ -0,0 +1,299 @@
+/**
+ * Local git backend for GitHubDevTracker
+ * Reads commit history from a local bare clone / mirror with `git log --numstat`
+ * instead of the GitHub API, so reports cost no API quota.
+ *
+ * Commits are returned in the same shape as the REST commits API (the fields
+ * analyzeCommits uses), with per-commit stats and per-file numstat data.
+ * Author names and emails already have the repository's own .mailmap applied.
+ */
+
+const { execFile, spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+const RECORD_SEPARATOR = '\x1e';
+const FIELD_SEPARATOR = '\x1f';
+const HEADER_END = '\x1d';
+const LOG_FORMAT = `${RECORD_SEPARATOR}%H${FIELD_SEPARATOR}%P${FIELD_SEPARATOR}%aN${FIELD_SEPARATOR}%aE${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%cI${FIELD_SEPARATOR}%B${HEADER_END}`;
+const MAX_BUFFER = 512 * 1024 * 1024;
+const PATCH_ID_CHUNK = 200;
+
+function runGit(args, cwd = undefined) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, maxBuffer: MAX_BUFFER }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = `git ${args[0]} failed: ${(stderr || error.message).trim()}`;
+                reject(error);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+/**
+ * Run `git show <shas>` piped into `git patch-id --stable`
+ */
+function runPatchId(shas, cwd) {
+    return new Promise((resolve, reject) => {
+        const show = spawn('git', ['show', '--no-color', '--no-ext-diff', '--format=commit %H', ...shas], { cwd });
+        const patchId = spawn('git', ['patch-id', '--stable'], { cwd });
+        let stdout = '';
+        let stderr = '';
+
+        show.stdout.pipe(patchId.stdin);
+        show.stderr.on('data', chunk => { stderr += chunk; });
+        patchId.stdout.on('data', chunk => { stdout += chunk; });
+        patchId.stderr.on('data', chunk => { stderr += chunk; });
+
+        show.on('error', reject);
+        patchId.on('error', reject);
+        patchId.on('close', code => {
+            if (code !== 0) {
+                reject(new Error(`git patch-id failed: ${stderr.trim()}`));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+class LocalGitBackend {
+    /**
+     * @param repoPath  Path to a bare mirror or any local clone
+     * @param options   { remoteUrl, token } - when remoteUrl is set the mirror is created/updated from it
+     */
+    constructor(repoPath, options = {}) {
+        this.repoPath = repoPath;
+        this.remoteUrl = options.remoteUrl || null;
+        this.token = options.token || null;
+        this.syncing = null;
+    }
+
+    /**
+     * Extra git config that authenticates against GitHub without storing the token in the mirror
+     */
+    getAuthArgs() {
+        if (!this.token) {
+            return [];
+        }
+        const basic = Buffer.from(`x-access-token:${this.token}`).toString('base64');
+        return ['-c', `http.extraHeader=Authorization: Basic ${basic}`];
+    }
+
+    /**
+     * Clone the mirror on first use, then `git fetch --all` (once per backend instance)
+     */
+    async sync() {
+        if (!this.syncing) {
+            this.syncing = this.runSync();
+        }
+        return this.syncing;
+    }
+
+    async runSync() {
+        if (!this.remoteUrl) {
+            // Plain local repository: use it as it is
+            return;
+        }
+
+        let exists = true;
+        try {
+            await fs.access(this.repoPath);
+        } catch {
+            exists = false;
+        }
+
+        if (!exists) {
+            console.log(`📥 Cloning mirror of ${this.remoteUrl}...`);
+            await fs.mkdir(path.dirname(this.repoPath), { recursive: true });
+            await runGit([...this.getAuthArgs(), 'clone', '--mirror', '--quiet', this.remoteUrl, this.repoPath]);
+        } else {
+            console.log(`🔄 Fetching updates into ${this.repoPath}...`);
+            await runGit([...this.getAuthArgs(), 'fetch', '--all', '--prune', '--quiet'], this.repoPath);
+        }
+    }
+
+    /**
+     * Parse `git log --numstat` output into REST-like commits and a stats map
+     */
+    static parseLog(output) {
+        const commits = [];
+        const statsBySha = new Map();
+
+        for (const record of output.split(RECORD_SEPARATOR)) {
+            const headerEnd = record.indexOf(HEADER_END);
+            if (headerEnd === -1) {
+                continue;
+            }
+
+            const [sha, parents, authorName, authorEmail, authorDate, committerDate, message] =
+                record.slice(0, headerEnd).split(FIELD_SEPARATOR);
+
+            const files = [];
+            let additions = 0;
+            let deletions = 0;
+
+            for (const line of record.slice(headerEnd + 1).split('\n')) {
+                const match = line.match(/^(-|\d+)\t(-|\d+)\t(.+)$/);
+                if (!match) {
+                    continue;
+                }
+
+                // Binary files are reported as "-"
+                const fileAdditions = match[1] === '-' ? 0 : parseInt(match[1], 10);
+                const fileDeletions = match[2] === '-' ? 0 : parseInt(match[2], 10);
+
+                files.push({ filename: match[3], additions: fileAdditions, deletions: fileDeletions });
+                additions += fileAdditions;
+                deletions += fileDeletions;
+            }
+
+            commits.push({
+                sha,
+                commit: {
+                    author: { name: authorName, email: authorEmail, date: authorDate },
+                    committer: { date: committerDate },
+                    message: message.trim()
+                },
+                // No GitHub account information offline
+                author: null,
+                parents: parents ? parents.split(' ').map(p => ({ sha: p })) : []
+            });
+            statsBySha.set(sha, { additions, deletions, files });
+        }
+
+        return { commits, statsBySha };
+    }
+
+    /**
+     * Local branches with their head commit, shaped like the REST branches API
+     */
+    async listBranches() {
+        await this.sync();
+
+        const output = await runGit(['for-each-ref', 'refs/heads', `--format=%(refname:short)${FIELD_SEPARATOR}%(objectname)`], this.repoPath);
+
+        return output.split('\n')
+            .filter(Boolean)
+            .map(line => {
+                const [name, sha] = line.split(FIELD_SEPARATOR);
+                return { name, commit: { sha }, protected: false };
+            });
+    }
+
+    /**
+     * Branch HEAD points at (the GitHub default branch in a mirror)
+     */
+    async getDefaultBranch() {
+        await this.sync();
+
+        const output = await runGit(['symbolic-ref', '--short', 'HEAD'], this.repoPath);
+        return output.trim();
+    }
+
+    /**
+     * Commits reachable from the given branches (default: every branch) with a commit date in [since, until]
+     * Returns { commits, statsBySha } like the API path of GitHubDevTracker.
+     */
+    async getCommitsInRange(since, until, branches = null) {
+        await this.sync();
+
+        if (branches && branches.length === 0) {
+            return { commits: [], statsBySha: new Map() };
+        }
+
+        // Branches only: a mirror also holds refs/pull/* heads of unmerged pull requests
+        const refs = branches ? branches.map(b => `refs/heads/${b}`) : ['--branches', '--remotes'];
+
+        const output = await runGit([
+            'log', ...refs, '--numstat', '--no-renames', '--diff-merges=first-parent',
+            `--format=${LOG_FORMAT}`,
+            `--since=${since.toISOString()}`,
+            `--until=${until.toISOString()}`
+        ], this.repoPath);
+
+        return LocalGitBackend.parseLog(output);
+    }
+
+    /**
+     * Commits reachable from head but not from base (`git log base..head`), e.g. between two tags
+     * Returns { commits, statsBySha } like getCommitsInRange.
+     */
+    async getCommitsBetween(base, head) {
+        await this.sync();
+
+        // Refs come from the command line, never let them be read as options
+        for (const ref of [base, head]) {
+            if (!ref || ref.startsWith('-')) {
+                throw new Error(`Invalid git ref "${ref}"`);
+            }
+        }
+
+        const output = await runGit([
+            'log', `${base}..${head}`, '--numstat', '--no-renames', '--diff-merges=first-parent',
+            `--format=${LOG_FORMAT}`,
+            '--'
+        ], this.repoPath);
+
+        return LocalGitBackend.parseLog(output);
+    }
+
+    /**
+     * Stable patch ids for the given commits (Map of SHA -> patch id)
+     */
+    async getPatchIds(shas) {
+        const patchIds = new Map();
+        if (shas.length === 0) {
+            return patchIds;
+        }
+
+        // Chunked to stay well below command line length limits
+        for (let i = 0; i < shas.length; i += PATCH_ID_CHUNK) {
+            const output = await runPatchId(shas.slice(i, i + PATCH_ID_CHUNK), this.repoPath);
+            for (const line of output.split('\n')) {
+                const [patchId, sha] = line.trim().split(' ');
+                if (patchId && sha) {
+                    patchIds.set(sha, patchId);
+                }
+            }
+        }
+
+        return patchIds;
+    }
+
+    /**
+     * Contents of a file on the default branch, or null when it does not exist
+     */
+    async readFile(filePath) {
+        await this.sync();
+
+        try {
+            return await runGit(['show', `HEAD:${filePath}`], this.repoPath);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Everyone who ever committed, for the inactive developers list
+     */
+    async getContributors() {
+        await this.sync();
+
+        const output = await runGit(['shortlog', '-sne', '--all'], this.repoPath);
+
+        return output.split('\n')
+            .map(line => line.match(/^\s*(\d+)\t(.+?) <(.*)>$/))
+            .filter(Boolean)
+            .map(match => ({
+                login: match[2],
+                name: match[2],
+                email: match[3],
+                contributions: parseInt(match[1], 10)
+            }));
+    }
+}
+
+module.exports = LocalGitBackend;
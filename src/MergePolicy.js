@@ -0,0 +1,44 @@
+/**
+ * Merge and squash commit classification
+ *
+ * - merge:  more than one parent (its diff repeats the lines of the merged branch)
+ * - squash: single parent with a squash-merge title such as "Add login (#123)"
+ * - commit: everything else
+ *
+ * Merge policy (MERGE_POLICY) for merge commits:
+ * - skip:         not counted at all
+ * - commits-only: counted as a commit, with no lines (default)
+ * - full:         counted with every line of their diff
+ * Squash merges are the only record of the squashed work, so they always count fully.
+ */
+
+const MERGE_POLICIES = ['skip', 'commits-only', 'full'];
+
+// GitHub squash-merge titles end with the pull request number
+const SQUASH_TITLE = /\(#\d+\)\s*$/;
+
+/**
+ * 'merge', 'squash' or 'commit'
+ */
+function classifyCommit(commit) {
+    if (commit.parents && commit.parents.length > 1) {
+        return 'merge';
+    }
+
+    const title = (commit.commit.message || '').split('\n')[0];
+    return SQUASH_TITLE.test(title) ? 'squash' : 'commit';
+}
+
+/**
+ * Human readable summary of commit types, e.g. "12 regular, 3 squash merges, 2 merge commits (merge policy: commits-only)"
+ */
+function describeCommitTypes(stats, policy) {
+    const values = Object.values(stats);
+    const total = values.reduce((sum, data) => sum + data.commits, 0);
+    const merges = values.reduce((sum, data) => sum + (data.mergeCommits || 0), 0);
+    const squashes = values.reduce((sum, data) => sum + (data.squashMerges || 0), 0);
+
+    return `${total - merges - squashes} regular, ${squashes} squash merges, ${merges} merge commits (merge policy: ${policy})`;
+}
+
+module.exports = { MERGE_POLICIES, classifyCommit, describeCommitTypes };
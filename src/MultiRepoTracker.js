@@ -7,19 +7,80 @@
  */
 
 const GitHubDevTracker = require('./GitHubDevTracker');
+const GitHubClient = require('./GitHubClient');
+const CommitStore = require('./CommitStore');
+const IdentityResolver = require('./IdentityResolver');
+const BotFilter = require('./BotFilter');
+const BranchPolicy = require('./BranchPolicy');
+const { MERGE_POLICIES, describeCommitTypes } = require('./MergePolicy');
+const { WORK_TYPES, sumWorkTypes, workTypeColumns } = require('./CommitTypes');
+const TicketExtractor = require('./TicketExtractor');
+const TestPaths = require('./TestPaths');
+const ComponentMap = require('./ComponentMap');
+const {
+    PULL_REQUEST_HEADERS, REVIEW_HEADERS, emptyReviewStats, formatHours,
+    hasPullRequests, pullRequestSummary, summarizePullRequests, pullRequestColumns,
+    hasReviews, sumReviews, reviewColumns
+} = require('./PullRequestStats');
+const { ISSUE_HEADERS, emptyIssueStats, hasIssues, sumIssues, issueColumns } = require('./IssueStats');
+const { addLanguages, sumLanguages, describeLanguages } = require('./Languages');
+const { resolveTimeZone, parseDate, customPeriod, isValidPeriod, getReportFileName, describePeriod } = require('./ReportPeriods');
+const { RateLimitError } = GitHubClient;
 const Table = require('cli-table3');
 const fs = require('fs').promises;
 const { Command } = require('commander');
 
+/**
+ * Add nested counters into target (in place): numbers are summed, lists concatenated,
+ * objects merged key by key (e.g. workTypes, tickets)
+ */
+function mergeCounts(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+        if (typeof value === 'number') {
+            target[key] = (target[key] || 0) + value;
+        } else if (Array.isArray(value)) {
+            target[key] = [...(target[key] || []), ...value];
+        } else if (value && typeof value === 'object') {
+            target[key] = mergeCounts({ ...(target[key] || {}) }, value);
+        }
+    }
+    return target;
+}
+
+/**
+ * Whether a developer did anything in the period: lines added, pull requests, reviews or issue work
+ */
+function isActive(data) {
+    return data.additions > 0 || hasPullRequests(data) || hasReviews(data) || hasIssues(data);
+}
+
 class MultiRepoTracker {
-    constructor(orgName, githubToken, repositories = null) {
+    constructor(orgName, githubToken, repositories = null, options = {}) {
         this.orgName = orgName;
         this.githubToken = githubToken;
         this.repositories = repositories; // null = all repos, or array of specific repos
-        this.headers = {
-            'Authorization': `token ${githubToken}`,
-            'Accept': 'application/vnd.github.v3+json'
-        };
+        // One client per run so every repository shares the same rate limit budget
+        this.client = options.client || new GitHubClient(githubToken, options);
+        // One commit store per run so the file is loaded once and appended in order
+        this.store = options.store
+            || (options.commitStore && options.commitStorePath ? new CommitStore(options.commitStorePath) : null);
+        // One identity resolver so emails linked in one repository resolve in all of them
+        this.identity = options.identity || new IdentityResolver(options);
+        this.botFilter = options.botFilter || new BotFilter(options);
+        this.branchRules = options.branchRules || new BranchPolicy(options);
+        this.componentMap = options.componentMap || new ComponentMap(options);
+        // Every repository reports against the same calendar days
+        this.timeZone = resolveTimeZone(options.timeZone);
+        this.options = {
+            ...options,
+            timeZone: this.timeZone,
+            client: this.client,
+            store: this.store,
+            identity: this.identity,
+            botFilter: this.botFilter,
+            branchRules: this.branchRules,
+            componentMap: this.componentMap
+        }; // Passed through to each GitHubDevTracker
     }
 
     /**
@@ -27,7 +88,6 @@ class MultiRepoTracker {
      * Tries organization endpoint first, falls back to user repos
      */
     async getAllRepositories() {
-        const axios = require('axios');
         const repos = [];
         let page = 1;
         const perPage = 100;
@@ -41,10 +101,9 @@ class MultiRepoTracker {
             
             try {
                 while (true) {
-                    const response = await axios.get(
+                    const response = await this.client.get(
                         `https://api.github.com/orgs/${this.orgName}/repos`,
                         {
-                            headers: this.headers,
                             params: {
                                 per_page: perPage,
                                 page: page,
@@ -78,6 +137,9 @@ class MultiRepoTracker {
                     return repos;
                 }
             } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
                 if (error.response && error.response.status === 404) {
                     console.log(`   Organization endpoint not accessible (404)`);
                 } else {
@@ -96,10 +158,9 @@ class MultiRepoTracker {
             try {
                 console.log(`   Fetching page ${page}...`);
                 
-                const response = await axios.get(
+                const response = await this.client.get(
                     'https://api.github.com/user/repos',
                     {
-                        headers: this.headers,
                         params: {
                             per_page: perPage,
                             page: page,
@@ -142,6 +203,9 @@ class MultiRepoTracker {
                     break;
                 }
             } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
                 console.error(`   Error fetching repositories page ${page}: ${error.message}`);
                 if (error.response) {
                     console.error(`   Status: ${error.response.status}`);
@@ -172,28 +236,46 @@ class MultiRepoTracker {
     /**
      * Get all contributors from all repositories (including inactive ones)
      */
-    async getAllContributors() {
-        const axios = require('axios');
+    async getAllContributors(reposToTrack = null) {
         const allContributors = new Set();
         
-        const reposToTrack = this.repositories || await this.getAllRepositories();
+        reposToTrack = reposToTrack || this.repositories || await this.getAllRepositories();
+        await this.identity.load();
         
         console.log(`👥 Fetching all contributors from ${reposToTrack.length} repositories...`);
+
+        // Local mirrors already know every committer, no API calls needed
+        if (this.options.backend === 'git') {
+            const loginsByRepo = await this.client.pool.map(reposToTrack, async (repo) => {
+                const tracker = new GitHubDevTracker(this.orgName, repo, this.githubToken, this.options);
+                try {
+                    const contributors = await tracker.getAllContributors();
+                    return contributors.map(c => c.login);
+                } catch (error) {
+                    console.error(`   Error reading contributors from ${repo} mirror: ${error.message}`);
+                    return [];
+                }
+            });
+            loginsByRepo.forEach(logins => logins.forEach(login => allContributors.add(login)));
+
+            console.log(`✅ Found ${allContributors.size} unique team members across all repositories\n`);
+            return Array.from(allContributors);
+        }
         
         let repoCount = 0;
-        for (const repo of reposToTrack) {
-            repoCount++;
+
+        // Repositories are fetched in parallel, logins are merged in repository order
+        const loginsByRepo = await this.client.pool.map(reposToTrack, async (repo) => {
+            const repoLogins = [];
             try {
                 let page = 1;
                 const perPage = 100;
-                let repoContributors = 0;
                 
                 // Paginate through all contributors for this repo
                 while (true) {
-                    const response = await axios.get(
+                    const response = await this.client.get(
                         `https://api.github.com/repos/${this.orgName}/${repo}/contributors`,
                         {
-                            headers: this.headers,
                             params: {
                                 per_page: perPage,
                                 page: page,
@@ -208,12 +290,9 @@ class MultiRepoTracker {
                         break;
                     }
                     
-                    contributors.forEach(contributor => {
-                        if (!allContributors.has(contributor.login)) {
-                            allContributors.add(contributor.login);
-                            repoContributors++;
-                        }
-                    });
+                    repoLogins.push(...contributors
+                        .filter(contributor => !this.botFilter.isBot(contributor))
+                        .map(contributor => this.identity.resolveKey(contributor.login)));
                     
                     page++;
                     
@@ -222,21 +301,24 @@ class MultiRepoTracker {
                         break;
                     }
                 }
-                
-                if (repoCount % 5 === 0) {
-                    console.log(`   Processed ${repoCount}/${reposToTrack.length} repositories... (${allContributors.size} unique contributors found)`);
-                }
             } catch (error) {
-                // Repo might be empty or inaccessible, skip it
-                if (error.response && error.response.status === 404) {
-                    // Repository not found or no access
-                    continue;
-                } else {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
+                // Repo might be empty or inaccessible (404), skip it
+                if (!error.response || error.response.status !== 404) {
                     console.error(`   Error fetching contributors from ${repo}: ${error.message}`);
                 }
-                continue;
             }
-        }
+
+            repoCount++;
+            if (repoCount % 5 === 0) {
+                console.log(`   Processed ${repoCount}/${reposToTrack.length} repositories...`);
+            }
+            return repoLogins;
+        });
+
+        loginsByRepo.forEach(logins => logins.forEach(login => allContributors.add(login)));
         
         console.log(`✅ Found ${allContributors.size} unique team members across all repositories\n`);
         
@@ -247,15 +329,29 @@ class MultiRepoTracker {
      * Aggregate statistics across all repositories
      */
     async aggregateStats(period, date = null) {
+        const results = await this.aggregateStatsForPeriods([period], date);
+        return results[period];
+    }
+
+    /**
+     * Aggregate several periods at once (e.g. daily, weekly, monthly)
+     * Each repository is fetched once for the widest window and sliced per period.
+     * Returns { [period]: { aggregated, byRepo, allContributors } }
+     */
+    async aggregateStatsForPeriods(periods, date = null) {
         // Get list of repositories to track
         const reposToTrack = this.repositories || await this.getAllRepositories();
 
         if (reposToTrack.length === 0) {
             console.log('No repositories found.');
-            return { aggregated: {}, byRepo: {}, allContributors: [] };
+            const empty = {};
+            periods.forEach(period => {
+                empty[period] = { aggregated: {}, byRepo: {}, allContributors: [], bots: {} };
+            });
+            return empty;
         }
 
-        console.log(`🔍 Analyzing ${reposToTrack.length} repositories...`);
+        console.log(`🔍 Analyzing ${reposToTrack.length} repositories (${periods.join(', ')})...`);
         
         // Show repository list (limit to first 10 if too many)
         if (reposToTrack.length <= 10) {
@@ -266,86 +362,127 @@ class MultiRepoTracker {
         }
 
         // Get all contributors from all repositories
-        const allContributors = await this.getAllContributors();
+        const allContributors = await this.getAllContributors(reposToTrack);
+
+        // Track progress
+        let started = 0;
+
+        // Repositories are analyzed in parallel (bounded by MAX_CONCURRENCY via the shared pool)
+        const repoResults = await this.client.pool.map(reposToTrack, async (repo) => {
+            started++;
+            console.log(`\n[${started}/${reposToTrack.length}] Processing: ${repo}...`);
+
+            try {
+                const tracker = new GitHubDevTracker(this.orgName, repo, this.githubToken, this.options);
+                const statsByPeriod = await tracker.analyzePeriods(periods, date);
+
+                const summary = periods.map(period => {
+                    const stats = statsByPeriod[period];
+                    return `${period}: ${Object.keys(stats).length} developers, ${Object.values(stats).reduce((sum, s) => sum + s.commits, 0)} commits`;
+                });
+                console.log(`   ✅ ${repo}: ${summary.join(' | ')}`);
+                return statsByPeriod;
+            } catch (error) {
+                // A rate-limited repo would silently publish a wrong leaderboard, so abort the run
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
+                console.error(`   ❌ Error processing ${repo}: ${error.message}`);
+                return null;
+            }
+        });
 
+        const results = {};
+        for (const period of periods) {
+            const periodResults = repoResults.map(statsByPeriod => (statsByPeriod ? statsByPeriod[period] : {}));
+            results[period] = this.mergeRepoStats(reposToTrack, periodResults, allContributors);
+        }
+
+        return results;
+    }
+
+    /**
+     * Merge per-repository developer stats into one aggregated view
+     * Done in repository order so the output does not depend on fetch timing.
+     * Bot entries (only present when REPORT_BOTS is on) are aggregated under `bots`.
+     */
+    mergeRepoStats(reposToTrack, repoResults, allContributors) {
         const aggregatedStats = {};
         const statsByRepo = {};
+        const botStats = {};
 
         // Initialize all contributors with 0 stats
         for (const contributor of allContributors) {
-            aggregatedStats[contributor] = {
-                commits: 0,
-                additions: 0,
-                deletions: 0,
-                netLines: 0,
-                repositories: [],
-                email: '',
-                name: contributor
-            };
+            aggregatedStats[contributor] = { ...GitHubDevTracker.createDevStats(contributor, ''), repositories: [] };
         }
 
-        // Track progress
-        let completed = 0;
+        reposToTrack.forEach((repo, index) => {
+            // Re-resolved, another repository may have linked an email to a login since
+            const { humans: stats, bots } = GitHubDevTracker.splitBots(this.resolveDevKeys(repoResults[index]));
 
-        for (const repo of reposToTrack) {
-            completed++;
-            console.log(`\n[${completed}/${reposToTrack.length}] Processing: ${repo}...`);
+            // Store stats by repository
+            statsByRepo[repo] = stats;
 
-            try {
-                const tracker = new GitHubDevTracker(this.orgName, repo, this.githubToken);
+            // Aggregate stats by developer (bots into their own map)
+            for (const [dev, data] of [...Object.entries(stats), ...Object.entries(bots)]) {
+                const target = data.isBot ? botStats : aggregatedStats;
 
-                let stats;
-                switch (period) {
-                    case 'daily':
-                        stats = await tracker.getDailyReport(date);
-                        break;
-                    case 'weekly':
-                        stats = await tracker.getWeeklyReport(date);
-                        break;
-                    case 'monthly':
-                        stats = await tracker.getMonthlyReport(date);
-                        break;
-                    default:
-                        stats = await tracker.getDailyReport(date);
+                if (!target[dev]) {
+                    target[dev] = { ...GitHubDevTracker.createDevStats(data.name, data.email), repositories: [] };
                 }
 
-                // Store stats by repository
-                statsByRepo[repo] = stats;
-
-                // Aggregate stats by developer
-                for (const [dev, data] of Object.entries(stats)) {
-                    if (!aggregatedStats[dev]) {
-                        aggregatedStats[dev] = {
-                            commits: 0,
-                            additions: 0,
-                            deletions: 0,
-                            netLines: 0,
-                            repositories: [],
-                            email: data.email,
-                            name: data.name
-                        };
-                    }
-
-                    aggregatedStats[dev].commits += data.commits;
-                    aggregatedStats[dev].additions += data.additions;
-                    aggregatedStats[dev].deletions += data.deletions;
-                    aggregatedStats[dev].netLines += data.netLines;
-                    aggregatedStats[dev].email = data.email || aggregatedStats[dev].email;
-                    aggregatedStats[dev].name = data.name || aggregatedStats[dev].name;
-                    
-                    if (!aggregatedStats[dev].repositories.includes(repo)) {
-                        aggregatedStats[dev].repositories.push(repo);
-                    }
+                target[dev].commits += data.commits;
+                target[dev].additions += data.additions;
+                target[dev].deletions += data.deletions;
+                target[dev].netLines += data.netLines;
+                target[dev].mergeCommits += data.mergeCommits || 0;
+                target[dev].squashMerges += data.squashMerges || 0;
+                mergeCounts(target[dev].workTypes, data.workTypes);
+                mergeCounts(target[dev].tickets, data.tickets);
+                target[dev].commitsWithoutTicket.push(...(data.commitsWithoutTicket || []));
+                addLanguages(target[dev].languages, data.languages);
+                mergeCounts(target[dev].testLines, data.testLines);
+                mergeCounts(target[dev].productionLines, data.productionLines);
+                mergeCounts(target[dev].unclassifiedLines, data.unclassifiedLines);
+                // Component names repeat across repositories ((root), packages/api, ...), so they are kept apart
+                for (const [component, lines] of Object.entries(data.components || {})) {
+                    mergeCounts(target[dev].components, { [`${repo}/${component}`]: lines });
+                }
+                mergeCounts(target[dev].pullRequests, data.pullRequests);
+                mergeCounts(target[dev].reviews, data.reviews);
+                mergeCounts(target[dev].issues, data.issues);
+                target[dev].commitShas.push(...(data.commitShas || []));
+                target[dev].email = data.email || target[dev].email;
+                target[dev].name = data.name || target[dev].name;
+                
+                if (!target[dev].repositories.includes(repo)) {
+                    target[dev].repositories.push(repo);
                 }
+            }
+        });
 
-                console.log(`   ✅ ${repo}: ${Object.keys(stats).length} developers, ${Object.values(stats).reduce((sum, s) => sum + s.commits, 0)} commits`);
-            } catch (error) {
-                console.error(`   ❌ Error processing ${repo}: ${error.message}`);
-                statsByRepo[repo] = {};
+        return { aggregated: aggregatedStats, byRepo: statsByRepo, allContributors, bots: botStats };
+    }
+
+    /**
+     * Re-key one repository's developer stats by canonical login, merging entries that now match
+     */
+    resolveDevKeys(stats) {
+        const resolved = {};
+
+        for (const [repoDev, data] of Object.entries(stats)) {
+            const dev = this.identity.resolveKey(repoDev, data.email);
+
+            if (!resolved[dev]) {
+                resolved[dev] = { ...data };
+                continue;
             }
+
+            // Sum counters and count maps, concatenate lists, keep the first name/email
+            mergeCounts(resolved[dev], data);
         }
 
-        return { aggregated: aggregatedStats, byRepo: statsByRepo, allContributors };
+        return resolved;
     }
 
     /**
@@ -364,7 +501,11 @@ class MultiRepoTracker {
                 deletions: data.deletions,
                 netLines: data.netLines,
                 repoCount: data.repositories.length,
-                repositories: data.repositories
+                repositories: data.repositories,
+                pullRequests: pullRequestSummary(data.pullRequests),
+                reviews: { ...emptyReviewStats(), ...data.reviews },
+                issues: { ...emptyIssueStats(), ...data.issues },
+                testRatio: TestPaths.getTestRatio(data)
             });
         }
 
@@ -390,20 +531,9 @@ class MultiRepoTracker {
 
         console.log('\n' + '='.repeat(90));
         console.log('SoluLab Multi-Repository Contribution Report'.padStart(55));
+        console.log(`Branches: ${this.getBranchPolicyLabel()}`.padStart(55));
         
-        if (period === 'weekly') {
-            const endDate = new Date(date);
-            const startDate = new Date(date);
-            startDate.setDate(startDate.getDate() - 7);
-            console.log(`${period.toUpperCase()} REPORT (Last 7 Days) - ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
-        } else if (period === 'monthly') {
-            const endDate = new Date(date);
-            const startDate = new Date(date);
-            startDate.setDate(startDate.getDate() - 30);
-            console.log(`${period.toUpperCase()} REPORT (Last 30 Days) - ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
-        } else {
-            console.log(`${period.toUpperCase()} REPORT - ${date.toISOString().split('T')[0]}`);
-        }
+        console.log(describePeriod(period, date, this.timeZone));
         
         console.log('='.repeat(90) + '\n');
 
@@ -415,9 +545,9 @@ class MultiRepoTracker {
         // Create leaderboard - Show ALL contributors (including inactive)
         const leaderboard = this.createLeaderboard(stats, null);
 
-        // Separate active and inactive contributors
-        const activeContributors = leaderboard.filter(dev => dev.additions > 0);
-        const inactiveContributors = leaderboard.filter(dev => dev.additions === 0);
+        // Separate active and inactive contributors (pull requests, reviews and issues count as activity)
+        const activeContributors = leaderboard.filter(dev => isActive(stats[dev.username]));
+        const inactiveContributors = leaderboard.filter(dev => !isActive(stats[dev.username]));
 
         // Create table with Repositories column
         const table = new Table({
@@ -453,7 +583,7 @@ class MultiRepoTracker {
         // Add separator if there are inactive contributors
         if (inactiveContributors.length > 0) {
             table.push([
-                { colSpan: 8, content: '--- Inactive Team Members (No lines added in this period) ---', hAlign: 'center' }
+                { colSpan: 8, content: '--- Inactive Team Members (No code, pull request, review or issue activity in this period) ---', hAlign: 'center' }
             ]);
 
             // Add inactive contributors
@@ -473,8 +603,8 @@ class MultiRepoTracker {
 
         console.log(table.toString());
 
-        // Show top contributor details (if any active contributors)
-        if (activeContributors.length > 0) {
+        // Show top contributor details (if anyone added lines)
+        if (activeContributors.length > 0 && activeContributors[0].additions > 0) {
             console.log(`\n🏆 Top Contributor: ${activeContributors[0].username}`);
             console.log(`   Total Lines Added: +${activeContributors[0].additions}`);
             console.log(`   Total Commits: ${activeContributors[0].commits}`);
@@ -505,10 +635,221 @@ class MultiRepoTracker {
         console.log(`Total Repositories with Activity: ${activeRepos.size}`);
         console.log(`Total Lines Added: +${totalAdditions}`);
         console.log(`Total Commits: ${totalCommits}`);
+        console.log(`Commit Types: ${describeCommitTypes(stats, this.options.mergePolicy || 'commits-only')}`);
         console.log(`Total Lines Deleted: -${totalDeletions}`);
         console.log(`Net Lines Changed: ${totalNet}`);
+        if (this.options.pullRequests !== false) {
+            const prs = summarizePullRequests(stats);
+            const reviews = sumReviews(stats);
+            console.log(`Pull Requests: ${prs.opened} opened, ${prs.merged} merged, ${prs.closed} closed`);
+            console.log(`Reviews: ${reviews.submitted} submitted, ${reviews.approvals} approvals, ${reviews.comments} review comments`);
+        }
+        if (this.options.issues !== false) {
+            const issues = sumIssues(stats);
+            console.log(`Issues: ${issues.opened} opened, ${issues.closed} closed, ${issues.comments} comments`);
+        }
         console.log(`Ranking: By Lines Added (primary), Net Lines (tiebreaker)`);
         console.log('-'.repeat(90) + '\n');
+
+        // Commit based tables skip people who were only active in pull requests, reviews or issues
+        const committers = activeContributors.filter(dev => dev.commits > 0);
+        this.printWorkTypes(committers, stats);
+        this.printTickets(committers, stats);
+        this.printLanguages(committers, stats);
+        this.printTests(committers, stats);
+        this.printPullRequests(leaderboard, stats);
+        this.printReviews(leaderboard, stats);
+        this.printIssues(leaderboard, stats);
+    }
+
+    /**
+     * Print issues opened, closed and commented on per person
+     */
+    printIssues(leaderboard, stats) {
+        const people = leaderboard.filter(dev => hasIssues(stats[dev.username]));
+        if (people.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', ...ISSUE_HEADERS],
+            colWidths: [18, 15, 10, 14, 10]
+        });
+
+        people
+            .sort((a, b) => stats[b.username].issues.comments - stats[a.username].issues.comments)
+            .forEach(dev => table.push([dev.username, ...issueColumns(stats[dev.username].issues)]));
+
+        table.push(['Total', ...issueColumns(sumIssues(stats))]);
+
+        console.log('🐞 Issues (pull requests not included)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print reviews submitted, approvals, changes requested and review comments per reviewer
+     */
+    printReviews(leaderboard, stats) {
+        const reviewers = leaderboard.filter(dev => hasReviews(stats[dev.username]));
+        if (reviewers.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', ...REVIEW_HEADERS],
+            colWidths: [18, 10, 11, 14, 10]
+        });
+
+        reviewers
+            .sort((a, b) => stats[b.username].reviews.submitted - stats[a.username].reviews.submitted)
+            .forEach(dev => table.push([dev.username, ...reviewColumns(stats[dev.username].reviews)]));
+
+        table.push(['Total', ...reviewColumns(sumReviews(stats))]);
+
+        console.log('👀 Code Reviews (on pull requests by others)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print the lines each developer changed per language
+     */
+    printLanguages(leaderboard, stats) {
+        if (leaderboard.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', 'Languages (lines +/-)'],
+            colWidths: [18, 70],
+            wordWrap: true
+        });
+
+        leaderboard.forEach(dev => table.push([dev.username, describeLanguages(stats[dev.username].languages, 4)]));
+
+        console.log('💻 Languages');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print test and production lines per developer, with test lines added per production line added
+     * and the lines of commits without per-file counts, which the ratio leaves out
+     */
+    printTests(leaderboard, stats) {
+        const total = TestPaths.sumTestLines(stats);
+        if (leaderboard.length === 0 || !TestPaths.hasLines(total)) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', 'Test Lines (+/-)', 'Production Lines (+/-)', 'Unclassified (+/-)', 'Test Ratio'],
+            colWidths: [18, 20, 24, 20, 13]
+        });
+
+        const lines = kind => `+${kind.additions}/-${kind.deletions}`;
+        leaderboard.forEach(dev => {
+            const data = stats[dev.username];
+            table.push([
+                dev.username,
+                lines(data.testLines),
+                lines(data.productionLines),
+                lines(data.unclassifiedLines || { additions: 0, deletions: 0 }),
+                TestPaths.formatTestRatio(data)
+            ]);
+        });
+        table.push(['Total', lines(total.testLines), lines(total.productionLines), lines(total.unclassifiedLines), TestPaths.formatTestRatio(total)]);
+
+        console.log('🧪 Tests vs Production (test lines added per production line added)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print pull requests opened, merged and closed by each developer across repositories
+     * Everyone with pull requests is listed, including people without lines added.
+     */
+    printPullRequests(leaderboard, stats) {
+        const authors = leaderboard.filter(dev => hasPullRequests(stats[dev.username]));
+        if (authors.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', ...PULL_REQUEST_HEADERS],
+            colWidths: [18, 12, 10, 10, 15, 12]
+        });
+
+        authors
+            .sort((a, b) => stats[b.username].pullRequests.merged - stats[a.username].pullRequests.merged)
+            .forEach(dev => table.push([dev.username, ...pullRequestColumns(stats[dev.username].pullRequests)]));
+
+        const total = summarizePullRequests(stats);
+        table.push([
+            'Total',
+            total.opened,
+            total.merged,
+            total.closed,
+            formatHours(total.medianHoursToFirstReview),
+            formatHours(total.medianHoursToMerge)
+        ]);
+
+        console.log('🔀 Pull Requests (median time to first review / to merge)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print the tickets each active developer worked on, and their commits without a ticket
+     */
+    printTickets(leaderboard, stats) {
+        if (leaderboard.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', 'Tickets', 'Lines (+/-)', 'No Ticket', 'Top Tickets (by lines)'],
+            colWidths: [18, 10, 16, 11, 45],
+            wordWrap: true
+        });
+
+        leaderboard.forEach(dev => {
+            const data = stats[dev.username];
+            const tickets = Object.entries(data.tickets || {})
+                .sort(([, a], [, b]) => (b.additions + b.deletions) - (a.additions + a.deletions));
+            const additions = tickets.reduce((sum, [, t]) => sum + t.additions, 0);
+            const deletions = tickets.reduce((sum, [, t]) => sum + t.deletions, 0);
+
+            table.push([
+                dev.username,
+                tickets.length,
+                `+${additions}/-${deletions}`,
+                (data.commitsWithoutTicket || []).length,
+                tickets.slice(0, 3).map(([ticket, t]) => `${ticket} (+${t.additions}/-${t.deletions})`).join(', ')
+                    + (tickets.length > 3 ? ` (+${tickets.length - 3} more)` : '')
+            ]);
+        });
+
+        console.log('🎫 Tickets (from commit messages)');
+        console.log(table.toString() + '\n');
+    }
+
+    /**
+     * Print commits per work type (feat, fix, ...) for each active developer
+     */
+    printWorkTypes(leaderboard, stats) {
+        if (leaderboard.length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Username', ...WORK_TYPES],
+            colWidths: [18, ...WORK_TYPES.map(() => 10)]
+        });
+
+        leaderboard.forEach(dev => {
+            table.push([dev.username, ...workTypeColumns(stats[dev.username].workTypes)]);
+        });
+        table.push(['Total', ...workTypeColumns(sumWorkTypes(stats))]);
+
+        console.log('🧩 Work Types (commits by message type)');
+        console.log(table.toString() + '\n');
     }
 
     /**
@@ -520,8 +861,9 @@ class MultiRepoTracker {
         console.log('='.repeat(90) + '\n');
 
         const repoTable = new Table({
-            head: ['Repository', 'Developers', 'Lines Added', 'Commits', 'Deletions', 'Net Lines'],
-            colWidths: [30, 12, 12, 10, 12, 12]
+            head: ['Repository', 'Developers', 'Lines Added', 'Commits', 'Deletions', 'Net Lines', 'Top Languages (+/-)'],
+            colWidths: [30, 12, 12, 10, 12, 12, 40],
+            wordWrap: true
         });
 
         const repoSummary = [];
@@ -553,11 +895,160 @@ class MultiRepoTracker {
                 `+${r.additions}`,
                 r.commits,
                 `-${r.deletions}`,
-                r.netLines
+                r.netLines,
+                describeLanguages(sumLanguages(statsByRepo[r.repo]))
             ]);
         });
 
         console.log(repoTable.toString());
+
+        const workTypeTable = new Table({
+            head: ['Repository', ...WORK_TYPES],
+            colWidths: [30, ...WORK_TYPES.map(() => 10)]
+        });
+
+        repoSummary
+            .filter(r => r.commits > 0)
+            .forEach(r => workTypeTable.push([r.repo, ...workTypeColumns(sumWorkTypes(statsByRepo[r.repo]))]));
+
+        if (workTypeTable.length > 0) {
+            console.log('\n🧩 Work Types by Repository');
+            console.log(workTypeTable.toString());
+        }
+
+        const ticketTable = new Table({
+            head: ['Repository', 'Ticket', 'Commits', 'Lines (+/-)', 'Developers'],
+            colWidths: [30, 16, 10, 16, 30],
+            wordWrap: true
+        });
+
+        repoSummary.filter(r => r.commits > 0).forEach(r => {
+            const stats = statsByRepo[r.repo];
+            const withoutTicket = Object.values(stats).reduce((sum, s) => sum + (s.commitsWithoutTicket || []).length, 0);
+            const tickets = Object.entries(TicketExtractor.summarize(stats))
+                .sort(([, a], [, b]) => (b.additions + b.deletions) - (a.additions + a.deletions));
+
+            // Ten tickets per repository keep the table readable, the JSON export has them all
+            tickets.slice(0, 10).forEach(([ticket, t]) => {
+                ticketTable.push([r.repo, ticket, t.commits, `+${t.additions}/-${t.deletions}`, t.developers.join(', ')]);
+            });
+            if (tickets.length > 10) {
+                ticketTable.push([r.repo, `(+${tickets.length - 10} more)`, '', '', '']);
+            }
+            ticketTable.push([r.repo, '(no ticket)', withoutTicket, '', '']);
+        });
+
+        if (ticketTable.length > 0) {
+            console.log('\n🎫 Tickets by Repository');
+            console.log(ticketTable.toString());
+        }
+
+        const testTable = new Table({
+            head: ['Repository', 'Test Lines (+/-)', 'Production Lines (+/-)', 'Unclassified (+/-)', 'Test Ratio'],
+            colWidths: [30, 20, 24, 20, 13]
+        });
+
+        repoSummary.forEach(r => {
+            const total = TestPaths.sumTestLines(statsByRepo[r.repo]);
+            if (TestPaths.hasLines(total)) {
+                testTable.push([
+                    r.repo,
+                    `+${total.testLines.additions}/-${total.testLines.deletions}`,
+                    `+${total.productionLines.additions}/-${total.productionLines.deletions}`,
+                    `+${total.unclassifiedLines.additions}/-${total.unclassifiedLines.deletions}`,
+                    TestPaths.formatTestRatio(total)
+                ]);
+            }
+        });
+
+        if (testTable.length > 0) {
+            console.log('\n🧪 Tests vs Production by Repository');
+            console.log(testTable.toString());
+        }
+
+        const componentTable = new Table({
+            head: ['Repository', 'Component', 'Commits', 'Lines (+/-)', 'Top Developers (by lines)'],
+            colWidths: [30, 24, 10, 16, 40],
+            wordWrap: true
+        });
+
+        repoSummary.forEach(r => {
+            const components = Object.entries(ComponentMap.summarize(statsByRepo[r.repo]))
+                .sort(([, a], [, b]) => (b.additions + b.deletions) - (a.additions + a.deletions));
+
+            components.forEach(([component, c]) => {
+                componentTable.push([
+                    r.repo,
+                    component,
+                    c.commits,
+                    `+${c.additions}/-${c.deletions}`,
+                    ComponentMap.describeDevelopers(c.developers)
+                ]);
+            });
+        });
+
+        if (componentTable.length > 0) {
+            console.log('\n📦 Components by Repository');
+            console.log(componentTable.toString());
+        }
+
+        const pullRequestTable = new Table({
+            head: ['Repository', ...PULL_REQUEST_HEADERS],
+            colWidths: [30, 12, 10, 10, 15, 12]
+        });
+
+        repoSummary.forEach(r => {
+            const prs = summarizePullRequests(statsByRepo[r.repo]);
+            if (prs.opened + prs.merged + prs.closed > 0) {
+                pullRequestTable.push([
+                    r.repo,
+                    prs.opened,
+                    prs.merged,
+                    prs.closed,
+                    formatHours(prs.medianHoursToFirstReview),
+                    formatHours(prs.medianHoursToMerge)
+                ]);
+            }
+        });
+
+        if (pullRequestTable.length > 0) {
+            console.log('\n🔀 Pull Requests by Repository');
+            console.log(pullRequestTable.toString());
+        }
+
+        const reviewTable = new Table({
+            head: ['Repository', ...REVIEW_HEADERS],
+            colWidths: [30, 10, 11, 14, 10]
+        });
+
+        repoSummary.forEach(r => {
+            const reviews = sumReviews(statsByRepo[r.repo]);
+            if (reviews.submitted + reviews.comments > 0) {
+                reviewTable.push([r.repo, ...reviewColumns(reviews)]);
+            }
+        });
+
+        if (reviewTable.length > 0) {
+            console.log('\n👀 Code Reviews by Repository');
+            console.log(reviewTable.toString());
+        }
+
+        const issueTable = new Table({
+            head: ['Repository', ...ISSUE_HEADERS],
+            colWidths: [30, 15, 10, 14, 10]
+        });
+
+        repoSummary.forEach(r => {
+            const issues = sumIssues(statsByRepo[r.repo]);
+            if (issues.opened + issues.closed + issues.comments > 0) {
+                issueTable.push([r.repo, ...issueColumns(issues)]);
+            }
+        });
+
+        if (issueTable.length > 0) {
+            console.log('\n🐞 Issues by Repository');
+            console.log(issueTable.toString());
+        }
     }
 
     /**
@@ -619,21 +1110,97 @@ class MultiRepoTracker {
         console.log('\n' + '='.repeat(110) + '\n');
     }
 
+    /**
+     * Default branch policy for report headers, noting repositories with their own rules
+     */
+    getBranchPolicyLabel() {
+        const label = BranchPolicy.describe(this.branchRules.defaults);
+        return this.branchRules.hasOverrides() ? `${label} (per-repo overrides)` : label;
+    }
+
+    /**
+     * Print bot and service-account activity across repositories (only present when REPORT_BOTS is on)
+     */
+    printBotReport(bots) {
+        if (!bots || Object.keys(bots).length === 0) {
+            return;
+        }
+
+        const table = new Table({
+            head: ['Bot / Service Account', 'Repositories', 'Lines Added', 'Commits', 'Deletions'],
+            colWidths: [34, 35, 12, 10, 12],
+            wordWrap: true
+        });
+
+        Object.entries(bots)
+            .sort(([, a], [, b]) => b.additions - a.additions)
+            .forEach(([bot, data]) => {
+                table.push([bot, data.repositories.join(', '), `+${data.additions}`, data.commits, `-${data.deletions}`]);
+            });
+
+        console.log('\n🤖 Bots & Service Accounts (not ranked)');
+        console.log(table.toString() + '\n');
+    }
+
     /**
      * Export to JSON
      */
-    async exportToJson(aggregated, byRepo, filename) {
+    async exportToJson(aggregated, byRepo, filename, bots = null) {
         const data = {
             aggregated,
             byRepo,
+            workTypesByRepo: Object.fromEntries(
+                Object.entries(byRepo).map(([repo, stats]) => [repo, sumWorkTypes(stats)])
+            ),
+            ticketsByRepo: Object.fromEntries(
+                Object.entries(byRepo).map(([repo, stats]) => [repo, TicketExtractor.summarize(stats)])
+            ),
+            pullRequestsByRepo: Object.fromEntries(
+                Object.entries(byRepo).map(([repo, stats]) => [repo, summarizePullRequests(stats)])
+            ),
+            reviewsByRepo: Object.fromEntries(
+                Object.entries(byRepo).map(([repo, stats]) => [repo, sumReviews(stats)])
+            ),
+            issuesByRepo: Object.fromEntries(
+                Object.entries(byRepo).map(([repo, stats]) => [repo, sumIssues(stats)])
+            ),
+            languagesByRepo: Object.fromEntries(
+                Object.entries(byRepo).map(([repo, stats]) => [repo, sumLanguages(stats)])
+            ),
+            testsByRepo: Object.fromEntries(
+                Object.entries(byRepo).map(([repo, stats]) => {
+                    const total = TestPaths.sumTestLines(stats);
+                    return [repo, { ...total, testRatio: TestPaths.getTestRatio(total) }];
+                })
+            ),
+            componentsByRepo: Object.fromEntries(
+                Object.entries(byRepo)
+                    .map(([repo, stats]) => [repo, ComponentMap.summarize(stats)])
+                    .filter(([, components]) => Object.keys(components).length > 0)
+            ),
             generatedAt: new Date().toISOString()
         };
 
+        if (bots && Object.keys(bots).length > 0) {
+            data.bots = bots;
+        }
+
         await fs.writeFile(filename, JSON.stringify(data, null, 2));
         console.log(`📄 Report exported to ${filename}`);
     }
 }
 
+/**
+ * Settings from config/Config.js for the command line
+ * The config module exits without GITHUB_TOKEN, so the --token value stands in for it.
+ */
+function loadConfig(token) {
+    if (!process.env.GITHUB_TOKEN) {
+        process.env.GITHUB_TOKEN = token;
+    }
+    return require('../config/Config');
+}
+
 async function main() {
     const program = new Command();
 
@@ -643,30 +1210,136 @@ async function main() {
         .requiredOption('--org <organization>', 'GitHub organization name')
         .requiredOption('--token <token>', 'GitHub personal access token')
         .option('--repos <repositories>', 'Comma-separated list of repositories (leave empty for all repos)')
-        .option('--period <type>', 'Report period: daily, weekly, or monthly', 'daily')
+        .option('--period <type>', 'Report period: daily, weekly, monthly, week, month, quarter, or year', 'daily')
         .option('--date <date>', 'Date for report (YYYY-MM-DD), defaults to today')
+        .option('--since <date>', 'Report on a custom range starting this day (YYYY-MM-DD)')
+        .option('--until <date>', 'Last day of the custom range (YYYY-MM-DD), defaults to --date or today')
+        .option('--timezone <zone>', 'IANA timezone for day boundaries (e.g. Asia/Kolkata), defaults to REPORT_TZ or the system zone')
         .option('--export', 'Export to JSON file')
-        .option('--breakdown', 'Show repository breakdown');
+        .option('--breakdown', 'Show repository breakdown')
+        .option('--graphql', 'Count commits from GraphQL batch totals when no path rule or component needs per-file counts')
+        .option('--max-retries <count>', 'Retries per request on rate limits and server errors', '5')
+        .option('--max-concurrency <count>', 'Maximum parallel GitHub requests', '8')
+        .option('--commit-store <path>', 'Local commit store file for incremental sync')
+        .option('--backend <type>', 'Data source: api or git (local mirrors)', 'api')
+        .option('--mirror-dir <dir>', 'Directory holding local git mirrors (default: GIT_MIRROR_DIR or data/mirrors)')
+        .option('--include <globs>', 'Comma-separated globs; only matching files count towards lines')
+        .option('--exclude <globs>', 'Comma-separated globs of files that never count towards lines')
+        .option('--no-default-excludes', 'Also count lockfiles, vendored, generated and minified files')
+        .option('--bots <accounts>', 'Comma-separated extra bot/service accounts (logins, names or emails, * wildcards)')
+        .option('--report-bots', 'List bot activity in a separate section instead of dropping it')
+        .option('--co-author-credit <policy>', 'Credit for Co-authored-by trailers: full, split or author', 'full')
+        .option('--branch-policy <policy>', 'Branches to walk: all, default or protected', 'all')
+        .option('--branch-include <globs>', 'Comma-separated branch globs to keep (e.g. main,release/*)')
+        .option('--branch-exclude <globs>', 'Comma-separated branch globs to skip (e.g. wip/*,experiment/**)')
+        .option('--branch-rules <path>', 'JSON file with per-repository branch rules')
+        .option('--no-dedupe', 'Count cherry-picked and rebased copies of a change separately')
+        .option('--merge-policy <policy>', 'Merge commits: skip, commits-only or full', 'commits-only')
+        .option('--ticket-patterns <regexes>', 'Comma-separated regular expressions matching ticket IDs (default: Jira keys and #issues)')
+        .option('--no-pull-requests', 'Skip pull request metrics (saves API calls)')
+        .option('--no-issues', 'Skip issue activity (saves API calls)')
+        .option('--repo-languages', 'Use the languages GitHub detects per repository for shared extensions (.h, .m, ...)')
+        .option('--test-paths <globs>', 'Comma-separated globs marking test files (replace the defaults)')
+        .option('--components <prefixes>', 'Comma-separated monorepo component prefixes, e.g. "packages/*,web=apps/web"')
+        .option('--components-file <path>', 'JSON file with per-repository components')
+        .option('--detect-workspaces', 'Add the workspace packages each repository declares as components');
 
     program.parse();
 
     const options = program.opts();
+    const config = loadConfig(options.token);
 
-    // Parse date if provided
+    let timeZone;
+    try {
+        timeZone = resolveTimeZone(options.timezone || process.env.REPORT_TZ);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    // Parse date if provided (a YYYY-MM-DD date is that day in the report timezone)
     let reportDate = new Date();
     if (options.date) {
-        reportDate = new Date(options.date);
-        if (isNaN(reportDate.getTime())) {
+        reportDate = parseDate(options.date, timeZone);
+        if (!reportDate) {
             console.error('Invalid date format. Use YYYY-MM-DD');
             process.exit(1);
         }
     }
 
+    // --since/--until report on a custom range instead of a named period
+    if (options.until && !options.since) {
+        console.error('--until needs --since');
+        process.exit(1);
+    }
+    if (options.since) {
+        const since = parseDate(options.since, timeZone);
+        const until = options.until ? parseDate(options.until, timeZone) : reportDate;
+        if (!since || !until) {
+            console.error('Invalid --since/--until date. Use YYYY-MM-DD');
+            process.exit(1);
+        }
+        if (since > until) {
+            console.error('--since must not be after --until');
+            process.exit(1);
+        }
+        options.period = customPeriod(since, until, timeZone);
+    }
+
+    if (!isValidPeriod(options.period)) {
+        console.error('Invalid period. Use daily, weekly, monthly, week, month, quarter, or year');
+        process.exit(1);
+    }
+
+    if (!['full', 'split', 'author'].includes(options.coAuthorCredit)) {
+        console.error('Invalid co-author credit policy. Use full, split, or author');
+        process.exit(1);
+    }
+
+    if (!BranchPolicy.POLICIES.includes(options.branchPolicy)) {
+        console.error('Invalid branch policy. Use all, default, or protected');
+        process.exit(1);
+    }
+
+    if (!MERGE_POLICIES.includes(options.mergePolicy)) {
+        console.error('Invalid merge policy. Use skip, commits-only, or full');
+        process.exit(1);
+    }
+
     // Parse repositories
     const repositories = options.repos ? options.repos.split(',').map(r => r.trim()) : null;
 
     // Initialize tracker
-    const tracker = new MultiRepoTracker(options.org, options.token, repositories);
+    const tracker = new MultiRepoTracker(options.org, options.token, repositories, {
+        useGraphQL: !!options.graphql,
+        maxRetries: parseInt(options.maxRetries),
+        maxConcurrency: parseInt(options.maxConcurrency),
+        commitStore: !!options.commitStore,
+        commitStorePath: options.commitStore,
+        backend: options.backend,
+        gitMirrorDir: options.mirrorDir || config.tracking.gitMirrorDir,
+        includePaths: options.include ? options.include.split(',').map(p => p.trim()) : [],
+        excludePaths: options.exclude ? options.exclude.split(',').map(p => p.trim()) : [],
+        defaultExcludes: options.defaultExcludes,
+        botAccounts: options.bots ? options.bots.split(',').map(b => b.trim()) : [],
+        reportBots: !!options.reportBots,
+        coAuthorCredit: options.coAuthorCredit,
+        branchPolicy: options.branchPolicy,
+        branchInclude: options.branchInclude ? options.branchInclude.split(',').map(b => b.trim()) : [],
+        branchExclude: options.branchExclude ? options.branchExclude.split(',').map(b => b.trim()) : [],
+        branchRulesPath: options.branchRules,
+        dedupeCommits: options.dedupe,
+        mergePolicy: options.mergePolicy,
+        ticketPatterns: options.ticketPatterns || config.tracking.ticketPatterns,
+        pullRequests: options.pullRequests,
+        issues: options.issues,
+        repoLanguages: !!options.repoLanguages,
+        testPaths: options.testPaths || config.tracking.testPaths,
+        components: options.components || config.tracking.components,
+        componentsPath: options.componentsFile || config.tracking.componentsPath,
+        detectWorkspaces: !!options.detectWorkspaces,
+        timeZone
+    });
 
     try {
         console.log('═══════════════════════════════════════════════════════════════════════════════');
@@ -680,10 +1353,11 @@ async function main() {
         console.log('═══════════════════════════════════════════════════════════════════════════════\n');
 
         // Get aggregated stats
-        const { aggregated, byRepo } = await tracker.aggregateStats(options.period, reportDate);
+        const { aggregated, byRepo, bots } = await tracker.aggregateStats(options.period, reportDate);
 
         // Print aggregated report
         tracker.printAggregatedReport(options.period, aggregated, reportDate);
+        tracker.printBotReport(bots);
 
         // Print repository breakdown if requested
         if (options.breakdown) {
@@ -692,12 +1366,13 @@ async function main() {
 
         // Export if requested
         if (options.export) {
-            const dateStr = reportDate.toISOString().split('T')[0];
-            const filename = `multi_repo_${options.period}_report_${dateStr}.json`;
-            await tracker.exportToJson(aggregated, byRepo, filename);
+            const filename = getReportFileName(options.period, reportDate, timeZone, 'multi_repo_');
+            await tracker.exportToJson(aggregated, byRepo, filename, bots);
         }
 
+        tracker.client.printUsage();
     } catch (error) {
+        tracker.client.printUsage();
         console.error(`Error: ${error.message}`);
         process.exit(1);
     }
@@ -0,0 +1,134 @@
+/**
+ * Include/exclude glob rules for counting lines per file
+ * Keeps lockfiles, vendored dependencies, build output, minified assets and
+ * snapshots out of the line counts.
+ *
+ * Glob syntax: `*` matches within a path segment, `**` across segments and `?`
+ * a single character. Patterns without a `/` match the file name in any directory.
+ */
+
+const DEFAULT_EXCLUDES = [
+    // Lockfiles
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'composer.lock',
+    'Gemfile.lock',
+    'Podfile.lock',
+    'Cargo.lock',
+    'poetry.lock',
+    'go.sum',
+    // Vendored dependencies
+    '**/node_modules/**',
+    '**/vendor/**',
+    '**/bower_components/**',
+    // Build output
+    '**/dist/**',
+    '**/build/**',
+    '**/.next/**',
+    '**/coverage/**',
+    // Minified assets and source maps
+    '*.min.js',
+    '*.min.css',
+    '*.map',
+    // Test snapshots
+    '**/__snapshots__/**',
+    '*.snap'
+];
+
+/**
+ * Convert a glob pattern to an anchored regular expression
+ */
+function globToRegExp(pattern) {
+    let glob = pattern.trim().replace(/^\.?\//, '');
+    if (!glob.includes('/')) {
+        glob = `**/${glob}`;
+    }
+
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') {
+                // "**/" matches zero or more directories
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+class PathFilter {
+    /**
+     * @param options { includePaths, excludePaths, defaultExcludes }
+     *   includePaths:    when non-empty, only matching files are counted
+     *   excludePaths:    extra patterns that are never counted
+     *   defaultExcludes: also apply DEFAULT_EXCLUDES (default true)
+     */
+    constructor(options = {}) {
+        const excludes = [
+            ...(options.defaultExcludes !== false ? DEFAULT_EXCLUDES : []),
+            ...(options.excludePaths || [])
+        ];
+
+        this.include = (options.includePaths || []).map(globToRegExp);
+        this.exclude = excludes.map(globToRegExp);
+    }
+
+    /**
+     * Whether any rule is configured (per-file data is only needed then)
+     */
+    isActive() {
+        return this.include.length > 0 || this.exclude.length > 0;
+    }
+
+    /**
+     * Whether a file's lines count towards the stats
+     */
+    isCounted(filename) {
+        if (this.include.length > 0 && !this.include.some(re => re.test(filename))) {
+            return false;
+        }
+        return !this.exclude.some(re => re.test(filename));
+    }
+
+    /**
+     * Additions and deletions of a commit counting only the files that pass the rules
+     * Stats without a files[] list are returned as they are.
+     */
+    countLines(stats) {
+        if (!this.isActive() || !stats.files) {
+            return { additions: stats.additions, deletions: stats.deletions };
+        }
+
+        let additions = 0;
+        let deletions = 0;
+
+        for (const file of stats.files) {
+            if (this.isCounted(file.filename)) {
+                additions += file.additions;
+                deletions += file.deletions;
+            }
+        }
+
+        return { additions, deletions };
+    }
+}
+
+PathFilter.DEFAULT_EXCLUDES = DEFAULT_EXCLUDES;
+PathFilter.globToRegExp = globToRegExp;
+
+module.exports = PathFilter;
@@ -0,0 +1,217 @@
+/**
+ * Pull request metrics per developer
+ *
+ * A pull request counts for its author in a report window when it was:
+ * - opened:  created inside the window
+ * - merged:  merged inside the window
+ * - closed:  closed without merging inside the window
+ *
+ * Durations are kept as lists of hours so stats from several repositories can be
+ * merged and still give an exact median:
+ * - hoursToFirstReview: first review by someone other than the author, for PRs opened in the window
+ * - hoursToMerge:       creation to merge, for PRs merged in the window
+ *
+ * Review activity counts for the reviewer, on pull requests by someone else, when submitted
+ * inside the window: reviews submitted, approvals, changes requested and review comments.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+function emptyPullRequestStats() {
+    return { opened: 0, merged: 0, closed: 0, hoursToFirstReview: [], hoursToMerge: [] };
+}
+
+function emptyReviewStats() {
+    return { submitted: 0, approvals: 0, changesRequested: 0, comments: 0 };
+}
+
+function hoursBetween(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / HOUR * 10) / 10;
+}
+
+function inRange(value, range) {
+    if (!value) {
+        return false;
+    }
+    const date = new Date(value);
+    return date >= range.since && date <= range.until;
+}
+
+/**
+ * Whether a pull request ({ createdAt, mergedAt, closedAt }) counts in a window at all
+ */
+function touchesRange(pr, range) {
+    return inRange(pr.createdAt, range) || inRange(pr.mergedAt, range) || inRange(pr.closedAt, range);
+}
+
+/**
+ * Add one pull request to its author's stats (in place) for the window { since, until }
+ */
+function addPullRequest(stats, pr, range) {
+    if (inRange(pr.createdAt, range)) {
+        stats.opened += 1;
+        if (pr.firstReviewAt) {
+            stats.hoursToFirstReview.push(hoursBetween(pr.createdAt, pr.firstReviewAt));
+        }
+    }
+
+    if (inRange(pr.mergedAt, range)) {
+        stats.merged += 1;
+        stats.hoursToMerge.push(hoursBetween(pr.createdAt, pr.mergedAt));
+    } else if (!pr.mergedAt && inRange(pr.closedAt, range)) {
+        stats.closed += 1;
+    }
+
+    return stats;
+}
+
+/**
+ * Add one submitted review ({ state }) to its reviewer's stats (in place)
+ */
+function addReview(stats, review) {
+    stats.submitted += 1;
+    if (review.state === 'APPROVED') {
+        stats.approvals += 1;
+    } else if (review.state === 'CHANGES_REQUESTED') {
+        stats.changesRequested += 1;
+    }
+    return stats;
+}
+
+function median(values) {
+    if (!values || values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * "5.5h" below two days, "3.2d" above, "-" without data
+ */
+function formatHours(hours) {
+    if (hours === null || hours === undefined) {
+        return '-';
+    }
+    return hours < 48 ? `${Math.round(hours * 10) / 10}h` : `${Math.round(hours / 24 * 10) / 10}d`;
+}
+
+/**
+ * Whether a developer opened, merged or closed any pull request
+ */
+function hasPullRequests(data) {
+    const prs = data && data.pullRequests;
+    return !!prs && (prs.opened + prs.merged + prs.closed) > 0;
+}
+
+/**
+ * Whether a developer submitted any review or review comment
+ */
+function hasReviews(data) {
+    const reviews = data && data.reviews;
+    return !!reviews && (reviews.submitted + reviews.comments) > 0;
+}
+
+/**
+ * Review stats summed over developer stats
+ */
+function sumReviews(stats) {
+    const total = emptyReviewStats();
+
+    for (const data of Object.values(stats)) {
+        for (const field of Object.keys(total)) {
+            total[field] += (data.reviews && data.reviews[field]) || 0;
+        }
+    }
+
+    return total;
+}
+
+/**
+ * One developer's pull request stats with median durations (for the API and exports):
+ * { opened, merged, closed, medianHoursToFirstReview, medianHoursToMerge }
+ */
+function pullRequestSummary(prs) {
+    if (!prs) {
+        prs = emptyPullRequestStats();
+    }
+    return {
+        opened: prs.opened,
+        merged: prs.merged,
+        closed: prs.closed,
+        medianHoursToFirstReview: median(prs.hoursToFirstReview),
+        medianHoursToMerge: median(prs.hoursToMerge)
+    };
+}
+
+/**
+ * Pull request stats summed over developer stats, summarized like pullRequestSummary
+ */
+function summarizePullRequests(stats) {
+    const total = emptyPullRequestStats();
+
+    for (const data of Object.values(stats)) {
+        const prs = data.pullRequests;
+        if (!prs) {
+            continue;
+        }
+        total.opened += prs.opened;
+        total.merged += prs.merged;
+        total.closed += prs.closed;
+        total.hoursToFirstReview.push(...prs.hoursToFirstReview);
+        total.hoursToMerge.push(...prs.hoursToMerge);
+    }
+
+    return pullRequestSummary(total);
+}
+
+/**
+ * Opened, merged, closed, median time to first review and to merge, for table rows
+ */
+function pullRequestColumns(prs) {
+    if (!prs) {
+        prs = emptyPullRequestStats();
+    }
+    return [
+        prs.opened,
+        prs.merged,
+        prs.closed,
+        formatHours(median(prs.hoursToFirstReview)),
+        formatHours(median(prs.hoursToMerge))
+    ];
+}
+
+/**
+ * Reviews, approvals, changes requested and review comments, for table rows
+ */
+function reviewColumns(reviews) {
+    if (!reviews) {
+        reviews = emptyReviewStats();
+    }
+    return [reviews.submitted, reviews.approvals, reviews.changesRequested, reviews.comments];
+}
+
+const PULL_REQUEST_HEADERS = ['PRs Opened', 'Merged', 'Closed', 'To 1st Review', 'To Merge'];
+
+const REVIEW_HEADERS = ['Reviews', 'Approvals', 'Changes Req.', 'Comments'];
+
+module.exports = {
+    PULL_REQUEST_HEADERS,
+    REVIEW_HEADERS,
+    emptyPullRequestStats,
+    emptyReviewStats,
+    inRange,
+    touchesRange,
+    addPullRequest,
+    addReview,
+    median,
+    formatHours,
+    hasPullRequests,
+    pullRequestSummary,
+    summarizePullRequests,
+    pullRequestColumns,
+    hasReviews,
+    sumReviews,
+    reviewColumns
+};
@@ -0,0 +1,341 @@
+/**
+ * Report period windows shared by the trackers, runners and server
+ * - daily:   the given day (00:00 to next day 00:00)
+ * - weekly:  last 7 days (7 days ago 00:00 to today 23:59:59.999)
+ * - monthly: last 30 days (30 days ago 00:00 to today 23:59:59.999)
+ *
+ * Calendar periods containing the given date:
+ * - week (ISO week, Monday to Sunday), month, quarter, year
+ *
+ * Custom ranges are written "YYYY-MM-DD..YYYY-MM-DD" (both days included) and can be
+ * used anywhere a period name is accepted. Sprints are ranges marked "sprint:YYYY-MM-DD..YYYY-MM-DD"
+ * (resolved by SprintCalendar), so their reports are filed apart from ad-hoc ranges.
+ *
+ * Days are calendar days in the report timezone (REPORT_TZ, an IANA name such as
+ * Asia/Kolkata), so every machine agrees which day a commit belongs to. Without a
+ * timezone the machine's own zone is used.
+ */
+
+const PERIOD_DAYS = {
+    weekly: 7,
+    monthly: 30
+};
+
+const CALENDAR_PERIODS = ['week', 'month', 'quarter', 'year'];
+
+const PERIODS = ['daily', 'weekly', 'monthly', ...CALENDAR_PERIODS];
+
+const CUSTOM_PERIOD = /^(?:sprint:)?(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+const formatters = new Map();
+
+/**
+ * Validated IANA timezone name (defaults to the machine's zone)
+ */
+function resolveTimeZone(timeZone = null) {
+    if (!timeZone) {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+        throw new Error(`Invalid timezone "${timeZone}". Use an IANA name such as Asia/Kolkata or UTC`);
+    }
+    return timeZone;
+}
+
+/**
+ * Calendar fields of an instant in a timezone: { year, month (1-12), day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone) {
+    const zone = resolveTimeZone(timeZone);
+    if (!formatters.has(zone)) {
+        formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+
+    const parts = {};
+    formatters.get(zone).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = parseInt(part.value, 10);
+        }
+    });
+    return parts;
+}
+
+/**
+ * The instant at which a wall-clock time occurs in a timezone
+ * Month is 1-12; day overflow (e.g. day 32) rolls into the next month.
+ */
+function zonedTimeToDate(year, month, day, hour, minute, second, ms, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+
+    // Offset of the zone at a given instant, in ms (UTC + offset = wall clock)
+    const offsetAt = (instant) => {
+        const p = getZonedParts(new Date(instant), timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(instant / 1000) * 1000;
+    };
+
+    // Second pass settles times next to a DST change
+    let instant = wallClock - offsetAt(wallClock);
+    instant = wallClock - offsetAt(instant);
+
+    return new Date(instant);
+}
+
+/**
+ * Midnight (00:00) of the day containing `date`, shifted by `dayOffset` days
+ */
+function startOfDay(date, timeZone, dayOffset = 0) {
+    const p = getZonedParts(date, timeZone);
+    return zonedTimeToDate(p.year, p.month, p.day + dayOffset, 0, 0, 0, 0, timeZone);
+}
+
+/**
+ * ISO 8601 week of a calendar day: { year, week }
+ * (the week belongs to the year holding its Thursday)
+ */
+function getIsoWeek(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const thursday = new Date(date.getTime() + (3 - (date.getUTCDay() + 6) % 7) * 86400000);
+    const firstDay = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+
+    return {
+        year: thursday.getUTCFullYear(),
+        week: Math.floor((thursday.getTime() - firstDay) / 86400000 / 7) + 1
+    };
+}
+
+/**
+ * First day (y, m, d) of the calendar period containing the given zoned day, and the
+ * first day of the next one
+ */
+function getCalendarBounds(period, p) {
+    switch (period) {
+        case 'week': {
+            const weekday = (new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay() + 6) % 7;
+            return [[p.year, p.month, p.day - weekday], [p.year, p.month, p.day - weekday + 7]];
+        }
+        case 'month':
+            return [[p.year, p.month, 1], [p.year, p.month + 1, 1]];
+        case 'quarter': {
+            const first = Math.floor((p.month - 1) / 3) * 3 + 1;
+            return [[p.year, first, 1], [p.year, first + 3, 1]];
+        }
+        default:
+            return [[p.year, 1, 1], [p.year + 1, 1, 1]];
+    }
+}
+
+/**
+ * YYYY-MM-DD of an instant in the report timezone (used for file names and headers)
+ */
+function formatDate(date, timeZone = null) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a --date / ?date= value; a plain YYYY-MM-DD means that day in the report timezone
+ * Returns null for an invalid date (including days that do not exist, like 2024-02-30).
+ */
+function parseDate(value, timeZone = null) {
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+
+    // Noon keeps the instant inside the same calendar day whatever the offset
+    const date = match
+        ? zonedTimeToDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10), 12, 0, 0, 0, timeZone)
+        : new Date(value);
+
+    if (isNaN(date.getTime()) || (match && formatDate(date, timeZone) !== match[0])) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Period name for a custom range, e.g. "2024-07-01..2024-09-30"
+ */
+function customPeriod(since, until, timeZone = null) {
+    return `${formatDate(since, timeZone)}..${formatDate(until, timeZone)}`;
+}
+
+function isCustomPeriod(period) {
+    return CUSTOM_PERIOD.test(period);
+}
+
+/**
+ * Whether a period name (or custom range) can be reported on
+ */
+function isValidPeriod(period) {
+    if (PERIODS.includes(period)) {
+        return true;
+    }
+
+    const match = String(period).match(CUSTOM_PERIOD);
+    return !!match && !!parseDate(match[1]) && !!parseDate(match[2]) && match[1] <= match[2];
+}
+
+/**
+ * Get the { since, until } window for a period ending on (or containing) the given date
+ */
+function getPeriodRange(period, date = null, timeZone = null) {
+    if (!date) {
+        date = new Date();
+    }
+
+    const custom = String(period).match(CUSTOM_PERIOD);
+    if (custom) {
+        return {
+            since: startOfDay(parseDate(custom[1], timeZone), timeZone),
+            until: new Date(startOfDay(parseDate(custom[2], timeZone), timeZone, 1).getTime() - 1)
+        };
+    }
+
+    if (CALENDAR_PERIODS.includes(period)) {
+        const [start, end] = getCalendarBounds(period, getZonedParts(date, timeZone));
+        return {
+            since: zonedTimeToDate(...start, 0, 0, 0, 0, timeZone),
+            until: new Date(zonedTimeToDate(...end, 0, 0, 0, 0, timeZone).getTime() - 1)
+        };
+    }
+
+    const days = PERIOD_DAYS[period];
+
+    // Anything else is treated as a daily report (matches the old switch default)
+    if (!days) {
+        return {
+            since: startOfDay(date, timeZone),
+            until: startOfDay(date, timeZone, 1)
+        };
+    }
+
+    // Start date is N days ago (start of day), end date is today (end of day)
+    return {
+        since: startOfDay(date, timeZone, -days),
+        until: new Date(startOfDay(date, timeZone, 1).getTime() - 1)
+    };
+}
+
+/**
+ * Smallest window covering every given period, so one fetch can serve them all
+ */
+function getCoveringRange(periods, date = null, timeZone = null) {
+    const ranges = periods.map(period => getPeriodRange(period, date, timeZone));
+
+    return {
+        since: new Date(Math.min(...ranges.map(r => r.since.getTime()))),
+        until: new Date(Math.max(...ranges.map(r => r.until.getTime())))
+    };
+}
+
+/**
+ * Short name of a period's window, used in file names and headers:
+ * daily/weekly/monthly "2024-10-08", week "2024-W41", month "2024-10", quarter "2024-Q4",
+ * year "2024", sprint or custom "2024-07-01_to_2024-09-30"
+ */
+function getPeriodLabel(period, date = null, timeZone = null) {
+    if (!date) {
+        date = new Date();
+    }
+
+    const custom = String(period).match(CUSTOM_PERIOD);
+    if (custom) {
+        return `${custom[1]}_to_${custom[2]}`;
+    }
+
+    const p = getZonedParts(date, timeZone);
+    switch (period) {
+        case 'week': {
+            const { year, week } = getIsoWeek(p.year, p.month, p.day);
+            return `${year}-W${String(week).padStart(2, '0')}`;
+        }
+        case 'month':
+            return `${p.year}-${String(p.month).padStart(2, '0')}`;
+        case 'quarter':
+            return `${p.year}-Q${Math.floor((p.month - 1) / 3) + 1}`;
+        case 'year':
+            return String(p.year);
+        default:
+            return formatDate(date, timeZone);
+    }
+}
+
+/**
+ * Kind of report a period produces ("sprint" or "custom" for ranges), used as the reports/ sub-directory
+ */
+function getPeriodKind(period) {
+    if (!isCustomPeriod(period)) {
+        return period;
+    }
+    return period.startsWith('sprint:') ? 'sprint' : 'custom';
+}
+
+/**
+ * Report file name, e.g. "multi_repo_weekly_report_2024-10-08.json", "quarter_report_2024-Q4.json"
+ * or "custom_report_2024-07-01_to_2024-09-30.json"
+ */
+function getReportFileName(period, date = null, timeZone = null, prefix = '') {
+    return `${prefix}${getPeriodKind(period)}_report_${getPeriodLabel(period, date, timeZone)}.json`;
+}
+
+/**
+ * Report header line, e.g. "WEEKLY REPORT (Last 7 Days) - 2024-10-01 to 2024-10-08 (Asia/Kolkata)"
+ */
+function describePeriod(period, date = null, timeZone = null) {
+    if (!date) {
+        date = new Date();
+    }
+
+    const zone = resolveTimeZone(timeZone);
+    const { since, until } = getPeriodRange(period, date, zone);
+    const span = `${formatDate(since, zone)} to ${formatDate(until, zone)} (${zone})`;
+
+    if (isCustomPeriod(period)) {
+        return `${getPeriodKind(period).toUpperCase()} REPORT - ${span}`;
+    }
+
+    const label = getPeriodLabel(period, date, zone);
+    switch (period) {
+        case 'week':
+            return `WEEK REPORT (ISO Week ${label}) - ${span}`;
+        case 'month':
+            return `MONTH REPORT (${MONTH_NAMES[parseInt(label.slice(5), 10) - 1]} ${label.slice(0, 4)}) - ${span}`;
+        case 'quarter':
+        case 'year':
+            return `${period.toUpperCase()} REPORT (${label}) - ${span}`;
+    }
+
+    const days = PERIOD_DAYS[period];
+    if (!days) {
+        return `${period.toUpperCase()} REPORT - ${formatDate(date, zone)} (${zone})`;
+    }
+    return `${period.toUpperCase()} REPORT (Last ${days} Days) - ${span}`;
+}
+
+module.exports = {
+    PERIODS,
+    resolveTimeZone,
+    formatDate,
+    parseDate,
+    customPeriod,
+    isCustomPeriod,
+    isValidPeriod,
+    getPeriodRange,
+    getCoveringRange,
+    getPeriodLabel,
+    getPeriodKind,
+    getReportFileName,
+    describePeriod
+};
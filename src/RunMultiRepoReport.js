@@ -6,6 +6,8 @@
  */
 
 const MultiRepoTracker = require('./MultiRepoTracker');
+const SprintCalendar = require('./SprintCalendar');
+const { formatDate, getReportFileName } = require('./ReportPeriods');
 const fs = require('fs');
 const path = require('path');
 
@@ -25,8 +27,9 @@ const reportsDir = path.join(__dirname, '..', 'reports');
 const dailyDir = path.join(reportsDir, 'daily');
 const weeklyDir = path.join(reportsDir, 'weekly');
 const monthlyDir = path.join(reportsDir, 'monthly');
+const sprintDir = path.join(reportsDir, 'sprint');
 
-[reportsDir, dailyDir, weeklyDir, monthlyDir].forEach(dir => {
+[reportsDir, dailyDir, weeklyDir, monthlyDir, sprintDir].forEach(dir => {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
@@ -38,26 +41,30 @@ async function runDailyReport() {
     const tracker = new MultiRepoTracker(
         config.github.organization,
         config.github.token,
-        config.github.repositories || null
+        config.github.repositories || null,
+        config.tracking
     );
 
     try {
         const today = new Date();
-        const { aggregated, byRepo } = await tracker.aggregateStats('daily', today);
+        const { aggregated, byRepo, bots } = await tracker.aggregateStats('daily', today);
         
         tracker.printAggregatedReport('daily', aggregated, today);
+        tracker.printBotReport(bots);
         
         if (config.reports.showRepositoryBreakdown) {
             tracker.printRepositoryBreakdown(byRepo);
         }
 
         if (config.reports.exportToJson) {
-            const filename = path.join(dailyDir, `multi_repo_daily_report_${today.toISOString().split('T')[0]}.json`);
-            await tracker.exportToJson(aggregated, byRepo, filename);
+            const filename = path.join(dailyDir, `multi_repo_daily_report_${formatDate(today, tracker.timeZone)}.json`);
+            await tracker.exportToJson(aggregated, byRepo, filename, bots);
         }
 
+        tracker.client.printUsage();
         console.log('✅ Daily report completed successfully!\n');
     } catch (error) {
+        tracker.client.printUsage();
         console.error('❌ Error running daily report:', error.message);
         process.exit(1);
     }
@@ -69,26 +76,30 @@ async function runWeeklyReport() {
     const tracker = new MultiRepoTracker(
         config.github.organization,
         config.github.token,
-        config.github.repositories || null
+        config.github.repositories || null,
+        config.tracking
     );
 
     try {
         const today = new Date();
-        const { aggregated, byRepo } = await tracker.aggregateStats('weekly', today);
+        const { aggregated, byRepo, bots } = await tracker.aggregateStats('weekly', today);
         
         tracker.printAggregatedReport('weekly', aggregated, today);
+        tracker.printBotReport(bots);
         
         if (config.reports.showRepositoryBreakdown) {
             tracker.printRepositoryBreakdown(byRepo);
         }
 
         if (config.reports.exportToJson) {
-            const filename = path.join(weeklyDir, `multi_repo_weekly_report_${today.toISOString().split('T')[0]}.json`);
-            await tracker.exportToJson(aggregated, byRepo, filename);
+            const filename = path.join(weeklyDir, `multi_repo_weekly_report_${formatDate(today, tracker.timeZone)}.json`);
+            await tracker.exportToJson(aggregated, byRepo, filename, bots);
         }
 
+        tracker.client.printUsage();
         console.log('✅ Weekly report completed successfully!\n');
     } catch (error) {
+        tracker.client.printUsage();
         console.error('❌ Error running weekly report:', error.message);
         process.exit(1);
     }
@@ -100,31 +111,83 @@ async function runMonthlyReport() {
     const tracker = new MultiRepoTracker(
         config.github.organization,
         config.github.token,
-        config.github.repositories || null
+        config.github.repositories || null,
+        config.tracking
     );
 
     try {
         const today = new Date();
-        const { aggregated, byRepo } = await tracker.aggregateStats('monthly', today);
+        const { aggregated, byRepo, bots } = await tracker.aggregateStats('monthly', today);
         
         tracker.printAggregatedReport('monthly', aggregated, today);
+        tracker.printBotReport(bots);
         
         if (config.reports.showRepositoryBreakdown) {
             tracker.printRepositoryBreakdown(byRepo);
         }
 
         if (config.reports.exportToJson) {
-            const filename = path.join(monthlyDir, `multi_repo_monthly_report_${today.toISOString().split('T')[0]}.json`);
-            await tracker.exportToJson(aggregated, byRepo, filename);
+            const filename = path.join(monthlyDir, `multi_repo_monthly_report_${formatDate(today, tracker.timeZone)}.json`);
+            await tracker.exportToJson(aggregated, byRepo, filename, bots);
         }
 
+        tracker.client.printUsage();
         console.log('✅ Monthly report completed successfully!\n');
     } catch (error) {
+        tracker.client.printUsage();
         console.error('❌ Error running monthly report:', error.message);
         process.exit(1);
     }
 }
 
+/**
+ * @param which 'current', 'previous' or a sprint name from the sprint list
+ */
+async function runSprintReport(which = 'current') {
+    const sprints = new SprintCalendar(config.tracking);
+    const today = new Date();
+    const sprint = await sprints.findSprint(which, today);
+
+    if (!sprint) {
+        console.error(sprints.isConfigured()
+            ? `❌ No ${which} sprint found in the sprint calendar`
+            : '❌ No sprint calendar configured. Set SPRINT_START (and SPRINT_LENGTH) or create config/sprints.json');
+        process.exit(1);
+    }
+
+    console.log(`🚀 Running Sprint Report: ${sprint.name} (${sprint.start} to ${sprint.end})...\n`);
+    
+    const tracker = new MultiRepoTracker(
+        config.github.organization,
+        config.github.token,
+        config.github.repositories || null,
+        config.tracking
+    );
+
+    try {
+        const { aggregated, byRepo, bots } = await tracker.aggregateStats(sprint.period, today);
+        
+        tracker.printAggregatedReport(sprint.period, aggregated, today);
+        tracker.printBotReport(bots);
+        
+        if (config.reports.showRepositoryBreakdown) {
+            tracker.printRepositoryBreakdown(byRepo);
+        }
+
+        if (config.reports.exportToJson) {
+            const filename = path.join(sprintDir, getReportFileName(sprint.period, today, tracker.timeZone, 'multi_repo_'));
+            await tracker.exportToJson(aggregated, byRepo, filename, bots);
+        }
+
+        tracker.client.printUsage();
+        console.log('✅ Sprint report completed successfully!\n');
+    } catch (error) {
+        tracker.client.printUsage();
+        console.error('❌ Error running sprint report:', error.message);
+        process.exit(1);
+    }
+}
+
 async function runAllReports() {
     console.log('🚀 Running All Reports (Daily + Weekly + Monthly) - All Repositories...\n');
     console.log('═'.repeat(90));
@@ -135,17 +198,25 @@ async function runAllReports() {
     const tracker = new MultiRepoTracker(
         config.github.organization,
         config.github.token,
-        config.github.repositories || null
+        config.github.repositories || null,
+        config.tracking
     );
 
     const today = new Date();
     
-    // Generate and display all three reports
+    // Fetch once for the monthly window and slice it into all three reports
+    const {
+        daily: { aggregated: dailyStats, byRepo: dailyByRepo, bots: dailyBots },
+        weekly: { aggregated: weeklyStats, byRepo: weeklyByRepo, bots: weeklyBots },
+        monthly: { aggregated: monthlyStats, byRepo: monthlyByRepo, bots: monthlyBots }
+    } = await tracker.aggregateStatsForPeriods(['daily', 'weekly', 'monthly'], today);
+    
+    // Display all three reports
     console.log('\n' + '█'.repeat(90));
     console.log('█'.repeat(35) + ' DAILY REPORT ' + '█'.repeat(42));
     console.log('█'.repeat(90) + '\n');
-    const { aggregated: dailyStats, byRepo: dailyByRepo } = await tracker.aggregateStats('daily', today);
     tracker.printAggregatedReport('daily', dailyStats, today);
+    tracker.printBotReport(dailyBots);
     if (config.reports.showRepositoryBreakdown) {
         tracker.printRepositoryBreakdown(dailyByRepo);
     }
@@ -153,8 +224,8 @@ async function runAllReports() {
     console.log('\n' + '█'.repeat(90));
     console.log('█'.repeat(35) + ' WEEKLY REPORT ' + '█'.repeat(41));
     console.log('█'.repeat(90) + '\n');
-    const { aggregated: weeklyStats, byRepo: weeklyByRepo } = await tracker.aggregateStats('weekly', today);
     tracker.printAggregatedReport('weekly', weeklyStats, today);
+    tracker.printBotReport(weeklyBots);
     if (config.reports.showRepositoryBreakdown) {
         tracker.printRepositoryBreakdown(weeklyByRepo);
     }
@@ -162,21 +233,21 @@ async function runAllReports() {
     console.log('\n' + '█'.repeat(90));
     console.log('█'.repeat(34) + ' MONTHLY REPORT ' + '█'.repeat(40));
     console.log('█'.repeat(90) + '\n');
-    const { aggregated: monthlyStats, byRepo: monthlyByRepo } = await tracker.aggregateStats('monthly', today);
     tracker.printAggregatedReport('monthly', monthlyStats, today);
+    tracker.printBotReport(monthlyBots);
     if (config.reports.showRepositoryBreakdown) {
         tracker.printRepositoryBreakdown(monthlyByRepo);
     }
     
     // Export all reports if configured
     if (config.reports.exportToJson) {
-        const dailyFilename = path.join(dailyDir, `multi_repo_daily_report_${today.toISOString().split('T')[0]}.json`);
-        const weeklyFilename = path.join(weeklyDir, `multi_repo_weekly_report_${today.toISOString().split('T')[0]}.json`);
-        const monthlyFilename = path.join(monthlyDir, `multi_repo_monthly_report_${today.toISOString().split('T')[0]}.json`);
+        const dailyFilename = path.join(dailyDir, `multi_repo_daily_report_${formatDate(today, tracker.timeZone)}.json`);
+        const weeklyFilename = path.join(weeklyDir, `multi_repo_weekly_report_${formatDate(today, tracker.timeZone)}.json`);
+        const monthlyFilename = path.join(monthlyDir, `multi_repo_monthly_report_${formatDate(today, tracker.timeZone)}.json`);
         
-        await tracker.exportToJson(dailyStats, dailyByRepo, dailyFilename);
-        await tracker.exportToJson(weeklyStats, weeklyByRepo, weeklyFilename);
-        await tracker.exportToJson(monthlyStats, monthlyByRepo, monthlyFilename);
+        await tracker.exportToJson(dailyStats, dailyByRepo, dailyFilename, dailyBots);
+        await tracker.exportToJson(weeklyStats, weeklyByRepo, weeklyFilename, weeklyBots);
+        await tracker.exportToJson(monthlyStats, monthlyByRepo, monthlyFilename, monthlyBots);
     }
     
     // Print all three reports again at the end for easy comparison
@@ -212,6 +283,8 @@ async function runAllReports() {
     console.log('   ✓ Weekly Report  - Last 7 days');
     console.log('   ✓ Monthly Report - Last 30 days');
     console.log('\n📁 All reports saved to: ./reports/\n');
+
+    tracker.client.printUsage();
 }
 
 // Main script logic
@@ -241,12 +314,15 @@ async function main() {
         case 'monthly':
             await runMonthlyReport();
             break;
+        case 'sprint':
+            await runSprintReport(args[1] || 'current');
+            break;
         case 'all':
             await runAllReports();
             break;
         default:
             console.error(`Unknown command: ${command}`);
-            console.log('\nUsage: node RunMultiRepoReport.js [daily|weekly|monthly|all]');
+            console.log('\nUsage: node RunMultiRepoReport.js [daily|weekly|monthly|sprint [current|previous|<name>]|all]');
             console.log('Or simply: node RunMultiRepoReport.js (uses default from config)');
             process.exit(1);
     }
@@ -260,4 +336,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { runDailyReport, runWeeklyReport, runMonthlyReport, runAllReports }; 
\ No newline at end of file
+module.exports = { runDailyReport, runWeeklyReport, runMonthlyReport, runSprintReport, runAllReports }; 
\ No newline at end of file
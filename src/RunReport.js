@@ -7,6 +7,7 @@
  */
 
 const GitHubDevTracker = require('./GitHubDevTracker');
+const { formatDate } = require('./ReportPeriods');
 const fs = require('fs');
 const path = require('path');
 
@@ -39,7 +40,8 @@ async function runDailyReport() {
     const tracker = new GitHubDevTracker(
         config.github.organization,
         config.github.repository,
-        config.github.token
+        config.github.token,
+        config.tracking
     );
 
     try {
@@ -48,7 +50,7 @@ async function runDailyReport() {
         await tracker.printReport('daily', dailyStats, today);
 
         if (config.reports.exportToJson) {
-            const filename = path.join(dailyDir, `daily_report_${today.toISOString().split('T')[0]}.json`);
+            const filename = path.join(dailyDir, `daily_report_${formatDate(today, tracker.timeZone)}.json`);
             await tracker.exportToJson(dailyStats, filename);
         }
 
@@ -57,8 +59,10 @@ async function runDailyReport() {
             await tracker.printInactiveReport(today);
         }
 
+        tracker.client.printUsage();
         console.log('✅ Daily report completed successfully!\n');
     } catch (error) {
+        tracker.client.printUsage();
         console.error('❌ Error running daily report:', error.message);
         process.exit(1);
     }
@@ -70,7 +74,8 @@ async function runWeeklyReport() {
     const tracker = new GitHubDevTracker(
         config.github.organization,
         config.github.repository,
-        config.github.token
+        config.github.token,
+        config.tracking
     );
 
     try {
@@ -79,12 +84,14 @@ async function runWeeklyReport() {
         await tracker.printReport('weekly', weeklyStats, today);
 
         if (config.reports.exportToJson) {
-            const filename = path.join(weeklyDir, `weekly_report_${today.toISOString().split('T')[0]}.json`);
+            const filename = path.join(weeklyDir, `weekly_report_${formatDate(today, tracker.timeZone)}.json`);
             await tracker.exportToJson(weeklyStats, filename);
         }
 
+        tracker.client.printUsage();
         console.log('✅ Weekly report completed successfully!\n');
     } catch (error) {
+        tracker.client.printUsage();
         console.error('❌ Error running weekly report:', error.message);
         process.exit(1);
     }
@@ -96,7 +103,8 @@ async function runMonthlyReport() {
     const tracker = new GitHubDevTracker(
         config.github.organization,
         config.github.repository,
-        config.github.token
+        config.github.token,
+        config.tracking
     );
 
     try {
@@ -105,12 +113,14 @@ async function runMonthlyReport() {
         await tracker.printReport('monthly', monthlyStats, today);
 
         if (config.reports.exportToJson) {
-            const filename = path.join(monthlyDir, `monthly_report_${today.toISOString().split('T')[0]}.json`);
+            const filename = path.join(monthlyDir, `monthly_report_${formatDate(today, tracker.timeZone)}.json`);
             await tracker.exportToJson(monthlyStats, filename);
         }
 
+        tracker.client.printUsage();
         console.log('✅ Monthly report completed successfully!\n');
     } catch (error) {
+        tracker.client.printUsage();
         console.error('❌ Error running monthly report:', error.message);
         process.exit(1);
     }
@@ -126,40 +136,42 @@ async function runAllReports() {
     const tracker = new GitHubDevTracker(
         config.github.organization,
         config.github.repository,
-        config.github.token
+        config.github.token,
+        config.tracking
     );
 
     const today = new Date();
     
     try {
-        // Generate and display all three reports
+        // Fetch once for the monthly window and slice it into all three reports
+        const { daily: dailyStats, weekly: weeklyStats, monthly: monthlyStats } =
+            await tracker.analyzePeriods(['daily', 'weekly', 'monthly'], today);
+
+        // Display all three reports
         console.log('\n' + '█'.repeat(80));
         console.log('█'.repeat(32) + ' DAILY REPORT ' + '█'.repeat(33));
         console.log('█'.repeat(80) + '\n');
-        const dailyStats = await tracker.getDailyReport(today);
         await tracker.printReport('daily', dailyStats, today);
         if (config.reports.exportToJson) {
-            const filename = path.join(dailyDir, `daily_report_${today.toISOString().split('T')[0]}.json`);
+            const filename = path.join(dailyDir, `daily_report_${formatDate(today, tracker.timeZone)}.json`);
             await tracker.exportToJson(dailyStats, filename);
         }
         
         console.log('\n' + '█'.repeat(80));
         console.log('█'.repeat(32) + ' WEEKLY REPORT ' + '█'.repeat(32));
         console.log('█'.repeat(80) + '\n');
-        const weeklyStats = await tracker.getWeeklyReport(today);
         await tracker.printReport('weekly', weeklyStats, today);
         if (config.reports.exportToJson) {
-            const filename = path.join(weeklyDir, `weekly_report_${today.toISOString().split('T')[0]}.json`);
+            const filename = path.join(weeklyDir, `weekly_report_${formatDate(today, tracker.timeZone)}.json`);
             await tracker.exportToJson(weeklyStats, filename);
         }
         
         console.log('\n' + '█'.repeat(80));
         console.log('█'.repeat(31) + ' MONTHLY REPORT ' + '█'.repeat(32));
         console.log('█'.repeat(80) + '\n');
-        const monthlyStats = await tracker.getMonthlyReport(today);
         await tracker.printReport('monthly', monthlyStats, today);
         if (config.reports.exportToJson) {
-            const filename = path.join(monthlyDir, `monthly_report_${today.toISOString().split('T')[0]}.json`);
+            const filename = path.join(monthlyDir, `monthly_report_${formatDate(today, tracker.timeZone)}.json`);
             await tracker.exportToJson(monthlyStats, filename);
         }
 
@@ -202,7 +214,9 @@ async function runAllReports() {
         console.log('   ✓ Monthly Report - Last 30 days');
         console.log(`\n📁 All reports saved to: ${reportsDir}\n`);
 
+        tracker.client.printUsage();
     } catch (error) {
+        tracker.client.printUsage();
         console.error('❌ Error running reports:', error.message);
         process.exit(1);
     }
@@ -0,0 +1,146 @@
+/**
+ * Sprint calendar
+ * Finds the sprint containing a date, from either:
+ * - a cadence: anchor start date (SPRINT_START) and length in days (SPRINT_LENGTH, default 14)
+ * - an explicit list in a JSON file, which wins when present:
+ *   [{ "name": "Sprint 42", "start": "2024-10-07", "end": "2024-10-18" }]
+ *
+ * Dates are calendar days (YYYY-MM-DD) in the report timezone; both ends are included.
+ * A sprint is reported through the period "sprint:<start>..<end>" (see ReportPeriods).
+ */
+
+const fs = require('fs').promises;
+const { formatDate, parseDate } = require('./ReportPeriods');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Shortcuts accepted wherever a sprint is selected, as offsets from the current sprint
+const SHORTCUTS = {
+    current: 0,
+    previous: -1
+};
+
+function toDayNumber(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return Date.UTC(year, month - 1, date) / DAY;
+}
+
+function fromDayNumber(dayNumber) {
+    return new Date(dayNumber * DAY).toISOString().split('T')[0];
+}
+
+class SprintCalendar {
+    /**
+     * @param options { sprintStart, sprintLength, sprintsPath, timeZone }
+     */
+    constructor(options = {}) {
+        this.anchor = options.sprintStart || null;
+        this.length = options.sprintLength || 14;
+        this.sprintsPath = options.sprintsPath || null;
+        this.timeZone = options.timeZone || null;
+        this.sprints = [];
+        this.loading = null;
+    }
+
+    /**
+     * Load the sprint list (only once, concurrent callers share the same promise)
+     */
+    async load() {
+        if (!this.loading) {
+            this.loading = this.readSprints();
+        }
+        return this.loading;
+    }
+
+    async readSprints() {
+        if (this.anchor && !parseDate(this.anchor)) {
+            throw new Error(`Invalid sprint start "${this.anchor}". Use YYYY-MM-DD`);
+        }
+        if (!Number.isInteger(this.length) || this.length < 1) {
+            throw new Error(`Invalid sprint length "${this.length}". Use a number of days`);
+        }
+
+        if (!this.sprintsPath) {
+            return;
+        }
+
+        let sprints;
+        try {
+            sprints = JSON.parse(await fs.readFile(this.sprintsPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw new Error(`Invalid sprints file ${this.sprintsPath}: ${error.message}`);
+        }
+
+        if (!Array.isArray(sprints)) {
+            throw new Error(`Invalid sprints file ${this.sprintsPath}: expected a list of { name, start, end }`);
+        }
+
+        for (const sprint of sprints) {
+            if (!sprint.start || !sprint.end || !parseDate(sprint.start) || !parseDate(sprint.end) || sprint.start > sprint.end) {
+                throw new Error(`Invalid sprint ${JSON.stringify(sprint)} in ${this.sprintsPath}: needs start and end days (YYYY-MM-DD)`);
+            }
+        }
+
+        this.sprints = sprints
+            .map(sprint => ({ name: sprint.name || `${sprint.start} to ${sprint.end}`, start: sprint.start, end: sprint.end }))
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    /**
+     * Whether a cadence or a sprint list is configured
+     */
+    isConfigured() {
+        return this.sprints.length > 0 || !!this.anchor;
+    }
+
+    /**
+     * Sprint selected by a shortcut (current, previous) or a sprint name from the list
+     * Returns { name, start, end, period } or null when there is no such sprint.
+     */
+    async findSprint(which = 'current', date = null) {
+        await this.load();
+
+        if (!date) {
+            date = new Date();
+        }
+        const today = formatDate(date, this.timeZone);
+
+        if (!Object.prototype.hasOwnProperty.call(SHORTCUTS, which)) {
+            const sprint = this.sprints.find(s => s.name === which);
+            return sprint ? this.withPeriod(sprint) : null;
+        }
+
+        const offset = SHORTCUTS[which];
+
+        if (this.sprints.length > 0) {
+            // Between two sprints, the last one that started counts as current
+            const index = this.sprints.filter(s => s.start <= today).length - 1;
+            const sprint = index < 0 ? null : this.sprints[index + offset];
+            return sprint ? this.withPeriod(sprint) : null;
+        }
+
+        if (!this.anchor) {
+            return null;
+        }
+
+        const number = Math.floor((toDayNumber(today) - toDayNumber(this.anchor)) / this.length) + offset;
+        const start = toDayNumber(this.anchor) + number * this.length;
+
+        return this.withPeriod({
+            name: number >= 0 ? `Sprint ${number + 1}` : `Sprint starting ${fromDayNumber(start)}`,
+            start: fromDayNumber(start),
+            end: fromDayNumber(start + this.length - 1)
+        });
+    }
+
+    withPeriod(sprint) {
+        return { ...sprint, period: `sprint:${sprint.start}..${sprint.end}` };
+    }
+}
+
+SprintCalendar.SHORTCUTS = Object.keys(SHORTCUTS);
+
+module.exports = SprintCalendar;
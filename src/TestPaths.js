@@ -0,0 +1,114 @@
+/**
+ * Test code vs production code, by file path
+ * Uses the same glob syntax as the include/exclude path rules (see PathFilter).
+ * Configured patterns (TEST_PATHS) replace the defaults.
+ */
+
+const { globToRegExp } = require('./PathFilter');
+
+const DEFAULT_TEST_PATHS = [
+    '**/__tests__/**',
+    '**/__mocks__/**',
+    '**/test/**',
+    '**/tests/**',
+    '**/spec/**',
+    '**/e2e/**',
+    '*.spec.*',
+    '*.test.*',
+    '*_test.go',
+    'test_*.py',
+    '*_test.py',
+    '*Test.java',
+    '*Test.kt',
+    '*Tests.swift',
+    '*.t.sol'
+];
+
+// Line counts kept per developer, in table column order
+const LINE_KINDS = ['testLines', 'productionLines', 'unclassifiedLines'];
+
+class TestPaths {
+    /**
+     * @param options { testPaths }
+     *   testPaths: globs matching test files, as a list or a comma-separated
+     *   string (replace DEFAULT_TEST_PATHS)
+     */
+    constructor(options = {}) {
+        let patterns = options.testPaths || [];
+        if (typeof patterns === 'string') {
+            patterns = patterns.split(',').map(p => p.trim()).filter(Boolean);
+        }
+        if (patterns.length === 0) {
+            patterns = DEFAULT_TEST_PATHS;
+        }
+
+        this.patterns = patterns.map(globToRegExp);
+    }
+
+    /**
+     * Whether a file is test code
+     */
+    isTest(filename) {
+        return this.patterns.some(re => re.test(filename));
+    }
+}
+
+/**
+ * Test lines added per production line added, or null without production lines
+ */
+function getTestRatio(data) {
+    const test = (data && data.testLines) || { additions: 0 };
+    const production = (data && data.productionLines) || { additions: 0 };
+
+    if (production.additions === 0) {
+        return null;
+    }
+    return Math.round(test.additions / production.additions * 100) / 100;
+}
+
+/**
+ * Ratio for table cells: "0.45", "tests only" or "-"
+ */
+function formatTestRatio(data) {
+    const ratio = getTestRatio(data);
+    if (ratio !== null) {
+        return ratio.toFixed(2);
+    }
+    return data && data.testLines && data.testLines.additions > 0 ? 'tests only' : '-';
+}
+
+/**
+ * Test, production and unclassified lines summed over developer stats:
+ * { testLines, productionLines, unclassifiedLines }
+ */
+function sumTestLines(stats) {
+    const total = {
+        testLines: { additions: 0, deletions: 0 },
+        productionLines: { additions: 0, deletions: 0 },
+        unclassifiedLines: { additions: 0, deletions: 0 }
+    };
+
+    for (const data of Object.values(stats)) {
+        for (const kind of LINE_KINDS) {
+            total[kind].additions += (data[kind] && data[kind].additions) || 0;
+            total[kind].deletions += (data[kind] && data[kind].deletions) || 0;
+        }
+    }
+
+    return total;
+}
+
+/**
+ * Whether any lines were added, classified or not
+ */
+function hasLines(data) {
+    return LINE_KINDS.some(kind => data && data[kind] && data[kind].additions > 0);
+}
+
+TestPaths.DEFAULT_TEST_PATHS = DEFAULT_TEST_PATHS;
+TestPaths.getTestRatio = getTestRatio;
+TestPaths.formatTestRatio = formatTestRatio;
+TestPaths.sumTestLines = sumTestLines;
+TestPaths.hasLines = hasLines;
+
+module.exports = TestPaths;
@@ -0,0 +1,97 @@
+/**
+ * Issue-tracker references in commit messages
+ * Each pattern is a regular expression; by default Jira keys (PROJ-123) and GitHub
+ * issues (#456). Pull request numbers that GitHub writes into squash and merge titles
+ * ("Add login (#12)", "Merge pull request #12 from ...") are not tickets and are ignored.
+ */
+
+// Jira keys skip well-known names that look like one (UTF-8, SHA-256, RFC-7231, ...)
+const DEFAULT_TICKET_PATTERNS = [
+    '\\b(?!(?:UTF|ISO|SHA|RFC|CVE|AES|MD|HTTP)-)[A-Z][A-Z0-9]+-\\d+\\b',
+    '#\\d+\\b'
+];
+
+// Separates patterns in TICKET_PATTERNS / --ticket-patterns; commas inside {m,n} quantifiers are kept
+const PATTERN_SEPARATOR = /,(?![^{]*\})/;
+
+// GitHub-generated pull request references
+const PULL_REQUEST_REFERENCES = [
+    /^Merge pull request #\d+/,
+    /\(#\d+\)\s*$/m
+];
+
+class TicketExtractor {
+    /**
+     * @param options { ticketPatterns }
+     *   ticketPatterns: regular expressions matching a ticket ID, as a list or a
+     *   comma-separated string (replace the defaults)
+     */
+    constructor(options = {}) {
+        let patterns = options.ticketPatterns || [];
+        if (typeof patterns === 'string') {
+            patterns = patterns.split(PATTERN_SEPARATOR).map(p => p.trim()).filter(Boolean);
+        }
+        if (patterns.length === 0) {
+            patterns = DEFAULT_TICKET_PATTERNS;
+        }
+
+        this.patterns = patterns.map(pattern => {
+            try {
+                return new RegExp(pattern, 'g');
+            } catch (error) {
+                throw new Error(`Invalid ticket pattern "${pattern}": ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Ticket IDs referenced by a commit message, in order of appearance, without duplicates
+     */
+    extract(message) {
+        let text = message || '';
+        for (const reference of PULL_REQUEST_REFERENCES) {
+            text = text.replace(reference, '');
+        }
+
+        const found = [];
+        for (const pattern of this.patterns) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                found.push({ index: match.index, ticket: match[0] });
+                // Zero-length matches would never advance
+                if (match[0] === '') {
+                    pattern.lastIndex++;
+                }
+            }
+        }
+
+        return [...new Set(found.sort((a, b) => a.index - b.index).map(f => f.ticket).filter(Boolean))];
+    }
+
+    /**
+     * Tickets worked on across developer stats:
+     * { ticket: { commits, additions, deletions, developers: [] } }
+     */
+    static summarize(stats) {
+        const tickets = {};
+
+        for (const [dev, data] of Object.entries(stats)) {
+            for (const [ticket, ticketStats] of Object.entries(data.tickets || {})) {
+                if (!tickets[ticket]) {
+                    tickets[ticket] = { commits: 0, additions: 0, deletions: 0, developers: [] };
+                }
+                tickets[ticket].commits += ticketStats.commits;
+                tickets[ticket].additions += ticketStats.additions;
+                tickets[ticket].deletions += ticketStats.deletions;
+                tickets[ticket].developers.push(dev);
+            }
+        }
+
+        return tickets;
+    }
+}
+
+TicketExtractor.DEFAULT_TICKET_PATTERNS = DEFAULT_TICKET_PATTERNS;
+
+module.exports = TicketExtractor;
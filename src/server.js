@@ -4,7 +4,7 @@
  * Web Dashboard Server for GitHub Developer Tracker
  * Provides API endpoints and serves the dashboard UI
  * Enhanced with:
- * - Auto-generates missing reports on startup (PARALLEL)
+ * - Auto-generates missing reports on startup (PARALLEL, bounded by MAX_CONCURRENCY)
  * - 3-level caching: Memory (5min) → File (1hour) → GitHub API
  * - Smart user lookup: checks all period caches before API
  * - User details endpoint with repository breakdown
@@ -18,6 +18,18 @@ require('dotenv').config();
 
 const GitHubDevTracker = require('./GitHubDevTracker');
 const MultiRepoTracker = require('./MultiRepoTracker');
+const GitHubClient = require('./GitHubClient');
+const CommitStore = require('./CommitStore');
+const IdentityResolver = require('./IdentityResolver');
+const BranchPolicy = require('./BranchPolicy');
+const SprintCalendar = require('./SprintCalendar');
+const { emptyReviewStats, pullRequestSummary } = require('./PullRequestStats');
+const { emptyIssueStats } = require('./IssueStats');
+const { getTestRatio } = require('./TestPaths');
+const {
+    PERIODS, resolveTimeZone, formatDate, parseDate, customPeriod, isValidPeriod,
+    getPeriodRange, getPeriodLabel, getPeriodKind, getReportFileName
+} = require('./ReportPeriods');
 const config = require('../config/Config');
 
 const app = express();
@@ -28,6 +40,68 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
+// One GitHub client, commit store, identity resolver and branch rules for the whole server, shared by every tracker
+const githubClient = new GitHubClient(config.github.token, config.tracking);
+const commitStore = config.tracking.commitStore ? new CommitStore(config.tracking.commitStorePath) : null;
+const identity = new IdentityResolver(config.tracking);
+const branchRules = new BranchPolicy(config.tracking);
+const trackerOptions = { ...config.tracking, client: githubClient, store: commitStore, identity, branchRules };
+const sprints = new SprintCalendar(config.tracking);
+
+// Report days, cache keys and report file names all follow REPORT_TZ
+const timeZone = resolveTimeZone(config.tracking.timeZone);
+
+/**
+ * Report date from ?date= (YYYY-MM-DD in the report timezone), today by default, null if invalid
+ */
+function getRequestDate(req) {
+    return req.query.date ? parseDate(req.query.date, timeZone) : new Date();
+}
+
+const INVALID_PERIOD_MESSAGE = 'Invalid period. Use daily, weekly, monthly, week, month, quarter, year, '
+    + 'sprint with ?sprint=current|previous|<name> (needs a sprint calendar), '
+    + 'or custom with ?since=YYYY-MM-DD&until=YYYY-MM-DD';
+
+/**
+ * Report period for a period name from the URL, null if invalid
+ * - custom: range from ?since= and ?until= (until defaults to the report date)
+ * - sprint: sprint from ?sprint= (current by default), returned with its { name, start, end }
+ * Returns { period, sprint }.
+ */
+async function getRequestPeriod(name, query, date) {
+    if (name === 'sprint') {
+        const sprint = await sprints.findSprint(query.sprint || 'current', date);
+        return sprint ? { period: sprint.period, sprint } : null;
+    }
+
+    if (name !== 'custom') {
+        return isValidPeriod(name) ? { period: name, sprint: null } : null;
+    }
+
+    const since = query.since ? parseDate(query.since, timeZone) : null;
+    const until = query.until ? parseDate(query.until, timeZone) : date;
+    if (!since || !until || since > until) {
+        return null;
+    }
+    return { period: customPeriod(since, until, timeZone), sprint: null };
+}
+
+/**
+ * First and last day of a period's window, for API responses
+ */
+function getRequestRange(period, date) {
+    const { since, until } = getPeriodRange(period, date, timeZone);
+    return { since: formatDate(since, timeZone), until: formatDate(until, timeZone) };
+}
+
+/**
+ * Canonical login for a username, email or name given in a URL (aliases/.mailmap)
+ */
+async function resolveUsername(username) {
+    await identity.load();
+    return identity.resolveKey(username);
+}
+
 // Cache for storing recent results
 const cache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
@@ -58,12 +132,9 @@ function setCache(key, data) {
  */
 async function getReportFromFile(type, period, date) {
     try {
-        const dateStr = date.split('T')[0];
-        const fileName = type === 'multi' 
-            ? `multi_repo_${period}_report_${dateStr}.json`
-            : `${period}_report_${dateStr}.json`;
+        const fileName = getReportFileName(period, date, timeZone, type === 'multi' ? 'multi_repo_' : '');
         
-        const filePath = path.join(__dirname, '../reports', period, fileName);
+        const filePath = path.join(__dirname, '../reports', getPeriodKind(period), fileName);
         const stats = await fs.stat(filePath);
         const fileAge = Date.now() - stats.mtimeMs;
         
@@ -86,11 +157,13 @@ async function getReportFromFile(type, period, date) {
 }
 
 /**
- * Generate missing reports on startup (PARALLEL for speed)
+ * Generate missing reports on startup
+ * Missing periods are computed from one fetch of the widest window, using the
+ * server's shared GitHub client so requests in flight stay within MAX_CONCURRENCY
  */
 async function generateMissingReports() {
     const date = new Date();
-    const dateStr = date.toISOString().split('T')[0];
+    const dateStr = formatDate(date, timeZone);
     const periods = ['daily', 'weekly', 'monthly'];
     
     console.log('\n🔍 Checking for missing reports...');
@@ -98,7 +171,7 @@ async function generateMissingReports() {
     const missingReports = [];
     
     for (const period of periods) {
-        const fileName = `multi_repo_${period}_report_${dateStr}.json`;
+        const fileName = getReportFileName(period, date, timeZone, 'multi_repo_');
         const filePath = path.join(__dirname, '../reports', period, fileName);
         
         try {
@@ -122,22 +195,30 @@ async function generateMissingReports() {
         return;
     }
     
-    console.log(`\n🚀 Generating ${missingReports.length} report(s) in parallel...`);
+    console.log(`\n🚀 Generating ${missingReports.length} report(s) from a single fetch...`);
     const startTime = Date.now();
     
     const tracker = new MultiRepoTracker(
         config.github.organization,
         config.github.token,
-        config.github.repositories
+        config.github.repositories,
+        trackerOptions
     );
     
+    let results;
+    try {
+        results = await tracker.aggregateStatsForPeriods(missingReports, date);
+    } catch (error) {
+        console.error(`  ❌ Report generation failed:`, error.message);
+        githubClient.printUsage();
+        return;
+    }
+    
     await Promise.all(missingReports.map(async (period) => {
-        console.log(`  🔄 Starting ${period} report...`);
-        
         try {
-            const { aggregated, byRepo, allContributors } = await tracker.aggregateStats(period, date);
+            const { aggregated, byRepo, allContributors, bots } = results[period];
             
-            const fileName = `multi_repo_${period}_report_${dateStr}.json`;
+            const fileName = getReportFileName(period, date, timeZone, 'multi_repo_');
             const filePath = path.join(__dirname, '../reports', period, fileName);
             
             await fs.mkdir(path.dirname(filePath), { recursive: true });
@@ -148,6 +229,7 @@ async function generateMissingReports() {
                 aggregated,
                 byRepo,
                 allContributors,
+                bots,
                 totalDevelopers: Object.keys(aggregated).length,
                 totalRepositories: Object.keys(byRepo).length,
                 generatedAt: new Date().toISOString()
@@ -161,7 +243,9 @@ async function generateMissingReports() {
     }));
     
     const elapsed = Math.round((Date.now() - startTime) / 1000);
-    console.log(`\n✅ All reports generated in ${elapsed} seconds!\n`);
+    console.log(`\n✅ All reports generated in ${elapsed} seconds!`);
+    githubClient.printUsage();
+    console.log();
 }
 
 /**
@@ -169,16 +253,20 @@ async function generateMissingReports() {
  */
 app.get('/api/report/multi/:period', async (req, res) => {
     try {
-        const { period } = req.params;
-        const date = req.query.date ? new Date(req.query.date) : new Date();
+        const date = getRequestDate(req);
+        if (!date) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
         const forceRefresh = req.query.forceRefresh === 'true';
 
-        if (!['daily', 'weekly', 'monthly'].includes(period)) {
-            return res.status(400).json({ error: 'Invalid period. Use daily, weekly, or monthly' });
+        const requested = await getRequestPeriod(req.params.period, req.query, date);
+        if (!requested) {
+            return res.status(400).json({ error: INVALID_PERIOD_MESSAGE });
         }
+        const { period, sprint } = requested;
 
-        const dateStr = date.toISOString().split('T')[0];
-        const cacheKey = getCacheKey('multi', period, dateStr);
+        const dateStr = formatDate(date, timeZone);
+        const cacheKey = getCacheKey('multi', period, getPeriodLabel(period, date, timeZone));
 
         if (!forceRefresh) {
             const cached = getFromCache(cacheKey);
@@ -187,7 +275,7 @@ app.get('/api/report/multi/:period', async (req, res) => {
                 return res.json(cached);
             }
 
-            const fileData = await getReportFromFile('multi', period, date.toISOString());
+            const fileData = await getReportFromFile('multi', period, date);
             if (fileData) {
                 setCache(cacheKey, fileData);
                 return res.json(fileData);
@@ -201,17 +289,21 @@ app.get('/api/report/multi/:period', async (req, res) => {
         const tracker = new MultiRepoTracker(
             config.github.organization,
             config.github.token,
-            config.github.repositories
+            config.github.repositories,
+            trackerOptions
         );
 
-        const { aggregated, byRepo, allContributors } = await tracker.aggregateStats(period, date);
+        const { aggregated, byRepo, allContributors, bots } = await tracker.aggregateStats(period, date);
 
         const response = {
             period,
             date: dateStr,
+            ...getRequestRange(period, date),
+            sprint,
             aggregated,
             byRepo,
             allContributors,
+            bots,
             totalDevelopers: Object.keys(aggregated).length,
             totalRepositories: Object.keys(byRepo).length,
             generatedAt: new Date().toISOString()
@@ -230,16 +322,20 @@ app.get('/api/report/multi/:period', async (req, res) => {
  */
 app.get('/api/report/single/:period', async (req, res) => {
     try {
-        const { period } = req.params;
-        const date = req.query.date ? new Date(req.query.date) : new Date();
+        const date = getRequestDate(req);
+        if (!date) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
         const repo = req.query.repo || config.github.repository;
 
-        if (!['daily', 'weekly', 'monthly'].includes(period)) {
-            return res.status(400).json({ error: 'Invalid period. Use daily, weekly, or monthly' });
+        const requested = await getRequestPeriod(req.params.period, req.query, date);
+        if (!requested) {
+            return res.status(400).json({ error: INVALID_PERIOD_MESSAGE });
         }
+        const { period, sprint } = requested;
 
-        const dateStr = date.toISOString().split('T')[0];
-        const cacheKey = getCacheKey('single', period, dateStr, repo);
+        const dateStr = formatDate(date, timeZone);
+        const cacheKey = getCacheKey('single', period, getPeriodLabel(period, date, timeZone), repo);
 
         const cached = getFromCache(cacheKey);
         if (cached) {
@@ -247,7 +343,7 @@ app.get('/api/report/single/:period', async (req, res) => {
             return res.json(cached);
         }
 
-        const fileData = await getReportFromFile('single', period, date.toISOString());
+        const fileData = await getReportFromFile('single', period, date);
         if (fileData && fileData.repository === repo) {
             console.log(`✅ Using file cache for ${repo}`);
             setCache(cacheKey, fileData);
@@ -259,28 +355,24 @@ app.get('/api/report/single/:period', async (req, res) => {
         const tracker = new GitHubDevTracker(
             config.github.organization,
             repo,
-            config.github.token
+            config.github.token,
+            trackerOptions
         );
 
-        let stats;
-        switch (period) {
-            case 'daily':
-                stats = await tracker.getDailyReport(date);
-                break;
-            case 'weekly':
-                stats = await tracker.getWeeklyReport(date);
-                break;
-            case 'monthly':
-                stats = await tracker.getMonthlyReport(date);
-                break;
-        }
+        const stats = await tracker.getPeriodReport(period, date);
+
+        // Bots (only present when REPORT_BOTS is on) are listed apart from the developers
+        const { humans, bots } = GitHubDevTracker.splitBots(stats);
 
         const response = {
             period,
             date: dateStr,
+            ...getRequestRange(period, date),
+            sprint,
             repository: repo,
-            stats,
-            totalDevelopers: Object.keys(stats).length,
+            stats: humans,
+            bots,
+            totalDevelopers: Object.keys(humans).length,
             generatedAt: new Date().toISOString()
         };
 
@@ -298,16 +390,25 @@ app.get('/api/report/single/:period', async (req, res) => {
  */
 app.get('/api/user/:username/details', async (req, res) => {
     try {
-        const { username } = req.params;
-        const date = req.query.date ? new Date(req.query.date) : new Date();
-        const period = req.query.period || 'weekly';
+        const username = await resolveUsername(req.params.username);
+        const date = getRequestDate(req);
+        if (!date) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
+
+        const requested = await getRequestPeriod(req.query.period || 'weekly', req.query, date);
+        if (!requested) {
+            return res.status(400).json({ error: INVALID_PERIOD_MESSAGE });
+        }
+        const { period } = requested;
 
-        const dateStr = date.toISOString().split('T')[0];
+        const dateStr = formatDate(date, timeZone);
         
         console.log(`🔍 Fetching detailed stats for ${username} (${period})...`);
         
-        // Get report data from file cache first
-        const reportData = await getReportFromFile('multi', period, date.toISOString());
+        // Get report data from the report the dashboard just loaded, or the file cache
+        const reportData = getFromCache(getCacheKey('multi', period, getPeriodLabel(period, date, timeZone)))
+            || await getReportFromFile('multi', period, date);
         
         if (!reportData || !reportData.aggregated || !reportData.aggregated[username]) {
             return res.status(404).json({ 
@@ -330,7 +431,19 @@ app.get('/api/user/:username/details', async (req, res) => {
                     commits: userRepoStats.commits || 0,
                     additions: userRepoStats.additions || 0,
                     deletions: userRepoStats.deletions || 0,
-                    netLines: userRepoStats.netLines || (userRepoStats.additions - userRepoStats.deletions) || 0
+                    netLines: userRepoStats.netLines || (userRepoStats.additions - userRepoStats.deletions) || 0,
+                    workTypes: userRepoStats.workTypes || {},
+                    tickets: userRepoStats.tickets || {},
+                    commitsWithoutTicket: userRepoStats.commitsWithoutTicket || [],
+                    pullRequests: pullRequestSummary(userRepoStats.pullRequests),
+                    reviews: { ...emptyReviewStats(), ...userRepoStats.reviews },
+                    issues: { ...emptyIssueStats(), ...userRepoStats.issues },
+                    languages: userRepoStats.languages || {},
+                    testLines: userRepoStats.testLines || { additions: 0, deletions: 0 },
+                    productionLines: userRepoStats.productionLines || { additions: 0, deletions: 0 },
+                    unclassifiedLines: userRepoStats.unclassifiedLines || { additions: 0, deletions: 0 },
+                    testRatio: getTestRatio(userRepoStats),
+                    components: userRepoStats.components || {}
                 });
             }
         }
@@ -348,6 +461,19 @@ app.get('/api/user/:username/details', async (req, res) => {
             totalAdditions: userData.additions || 0,
             totalDeletions: userData.deletions || 0,
             totalNetLines: userData.netLines || 0,
+            mergeCommits: userData.mergeCommits || 0,
+            squashMerges: userData.squashMerges || 0,
+            workTypes: userData.workTypes || {},
+            tickets: userData.tickets || {},
+            commitsWithoutTicket: userData.commitsWithoutTicket || [],
+            pullRequests: pullRequestSummary(userData.pullRequests),
+            reviews: { ...emptyReviewStats(), ...userData.reviews },
+            issues: { ...emptyIssueStats(), ...userData.issues },
+            languages: userData.languages || {},
+            testLines: userData.testLines || { additions: 0, deletions: 0 },
+            productionLines: userData.productionLines || { additions: 0, deletions: 0 },
+            unclassifiedLines: userData.unclassifiedLines || { additions: 0, deletions: 0 },
+            testRatio: getTestRatio(userData),
             repositoryCount: userData.repositories ? userData.repositories.length : repoBreakdown.length,
             repositories: userData.repositories || repoBreakdown.map(r => r.name),
             repoBreakdown,
@@ -368,11 +494,14 @@ app.get('/api/user/:username/details', async (req, res) => {
  */
 app.get('/api/user/:username', async (req, res) => {
     try {
-        const { username } = req.params;
-        const date = req.query.date ? new Date(req.query.date) : new Date();
+        const username = await resolveUsername(req.params.username);
+        const date = getRequestDate(req);
+        if (!date) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
         const period = req.query.period || 'all';
 
-        const dateStr = date.toISOString().split('T')[0];
+        const dateStr = formatDate(date, timeZone);
         const cacheKey = getCacheKey('user', username, dateStr, period);
         
         // Level 1: Memory cache
@@ -394,7 +523,7 @@ app.get('/api/user/:username', async (req, res) => {
         let userEmail = '';
 
         // Always check ALL three caches to confirm user exists
-        const dailyFile = await getReportFromFile('multi', 'daily', date.toISOString());
+        const dailyFile = await getReportFromFile('multi', 'daily', date);
         if (dailyFile && dailyFile.aggregated && username in dailyFile.aggregated) {
             userExistsAnywhere = true;
             dailyData = dailyFile.aggregated[username];
@@ -403,7 +532,7 @@ app.get('/api/user/:username', async (req, res) => {
             console.log(`  ✅ Found ${username} in daily cache`);
         }
 
-        const weeklyFile = await getReportFromFile('multi', 'weekly', date.toISOString());
+        const weeklyFile = await getReportFromFile('multi', 'weekly', date);
         if (weeklyFile && weeklyFile.aggregated && username in weeklyFile.aggregated) {
             userExistsAnywhere = true;
             weeklyData = weeklyFile.aggregated[username];
@@ -412,7 +541,7 @@ app.get('/api/user/:username', async (req, res) => {
             console.log(`  ✅ Found ${username} in weekly cache`);
         }
 
-        const monthlyFile = await getReportFromFile('multi', 'monthly', date.toISOString());
+        const monthlyFile = await getReportFromFile('multi', 'monthly', date);
         if (monthlyFile && monthlyFile.aggregated && username in monthlyFile.aggregated) {
             userExistsAnywhere = true;
             monthlyData = monthlyFile.aggregated[username];
@@ -439,21 +568,33 @@ app.get('/api/user/:username', async (req, res) => {
                     additions: dailyData?.additions || 0,
                     deletions: dailyData?.deletions || 0,
                     netLines: dailyData?.netLines || 0,
-                    repositories: dailyData?.repositories || []
+                    repositories: dailyData?.repositories || [],
+                    pullRequests: pullRequestSummary(dailyData?.pullRequests),
+                    reviews: { ...emptyReviewStats(), ...dailyData?.reviews },
+                    issues: { ...emptyIssueStats(), ...dailyData?.issues },
+                    testRatio: getTestRatio(dailyData)
                 },
                 weeklyDetails: {
                     commits: weeklyData?.commits || 0,
                     additions: weeklyData?.additions || 0,
                     deletions: weeklyData?.deletions || 0,
                     netLines: weeklyData?.netLines || 0,
-                    repositories: weeklyData?.repositories || []
+                    repositories: weeklyData?.repositories || [],
+                    pullRequests: pullRequestSummary(weeklyData?.pullRequests),
+                    reviews: { ...emptyReviewStats(), ...weeklyData?.reviews },
+                    issues: { ...emptyIssueStats(), ...weeklyData?.issues },
+                    testRatio: getTestRatio(weeklyData)
                 },
                 monthlyDetails: {
                     commits: monthlyData?.commits || 0,
                     additions: monthlyData?.additions || 0,
                     deletions: monthlyData?.deletions || 0,
                     netLines: monthlyData?.netLines || 0,
-                    repositories: monthlyData?.repositories || []
+                    repositories: monthlyData?.repositories || [],
+                    pullRequests: pullRequestSummary(monthlyData?.pullRequests),
+                    reviews: { ...emptyReviewStats(), ...monthlyData?.reviews },
+                    issues: { ...emptyIssueStats(), ...monthlyData?.issues },
+                    testRatio: getTestRatio(monthlyData)
                 },
                 generatedAt: new Date().toISOString()
             };
@@ -468,17 +609,15 @@ app.get('/api/user/:username', async (req, res) => {
         const tracker = new MultiRepoTracker(
             config.github.organization,
             config.github.token,
-            config.github.repositories
+            config.github.repositories,
+            trackerOptions
         );
 
         let dailyResult, weeklyResult, monthlyResult;
 
         if (period === 'all') {
-            [dailyResult, weeklyResult, monthlyResult] = await Promise.all([
-                tracker.aggregateStats('daily', date),
-                tracker.aggregateStats('weekly', date),
-                tracker.aggregateStats('monthly', date)
-            ]);
+            ({ daily: dailyResult, weekly: weeklyResult, monthly: monthlyResult } =
+                await tracker.aggregateStatsForPeriods(['daily', 'weekly', 'monthly'], date));
         } else if (period === 'daily') {
             dailyResult = await tracker.aggregateStats('daily', date);
         } else if (period === 'weekly') {
@@ -516,21 +655,33 @@ app.get('/api/user/:username', async (req, res) => {
                 additions: dailyStats?.additions || 0,
                 deletions: dailyStats?.deletions || 0,
                 netLines: dailyStats?.netLines || 0,
-                repositories: dailyStats?.repositories || []
+                repositories: dailyStats?.repositories || [],
+                pullRequests: pullRequestSummary(dailyStats?.pullRequests),
+                reviews: { ...emptyReviewStats(), ...dailyStats?.reviews },
+                issues: { ...emptyIssueStats(), ...dailyStats?.issues },
+                testRatio: getTestRatio(dailyStats)
             },
             weeklyDetails: {
                 commits: weeklyStats?.commits || 0,
                 additions: weeklyStats?.additions || 0,
                 deletions: weeklyStats?.deletions || 0,
                 netLines: weeklyStats?.netLines || 0,
-                repositories: weeklyStats?.repositories || []
+                repositories: weeklyStats?.repositories || [],
+                pullRequests: pullRequestSummary(weeklyStats?.pullRequests),
+                reviews: { ...emptyReviewStats(), ...weeklyStats?.reviews },
+                issues: { ...emptyIssueStats(), ...weeklyStats?.issues },
+                testRatio: getTestRatio(weeklyStats)
             },
             monthlyDetails: {
                 commits: monthlyStats?.commits || 0,
                 additions: monthlyStats?.additions || 0,
                 deletions: monthlyStats?.deletions || 0,
                 netLines: monthlyStats?.netLines || 0,
-                repositories: monthlyStats?.repositories || []
+                repositories: monthlyStats?.repositories || [],
+                pullRequests: pullRequestSummary(monthlyStats?.pullRequests),
+                reviews: { ...emptyReviewStats(), ...monthlyStats?.reviews },
+                issues: { ...emptyIssueStats(), ...monthlyStats?.issues },
+                testRatio: getTestRatio(monthlyStats)
             },
             generatedAt: new Date().toISOString()
         };
@@ -548,21 +699,26 @@ app.get('/api/user/:username', async (req, res) => {
  */
 app.get('/api/leaderboard/:period', async (req, res) => {
     try {
-        const { period } = req.params;
-        const date = req.query.date ? new Date(req.query.date) : new Date();
+        const date = getRequestDate(req);
+        if (!date) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
         const topN = parseInt(req.query.top) || 10;
         const bottomN = parseInt(req.query.bottom) || 10;
 
-        if (!['daily', 'weekly', 'monthly'].includes(period)) {
-            return res.status(400).json({ error: 'Invalid period. Use daily, weekly, or monthly' });
+        const requested = await getRequestPeriod(req.params.period, req.query, date);
+        if (!requested) {
+            return res.status(400).json({ error: INVALID_PERIOD_MESSAGE });
         }
+        const { period, sprint } = requested;
 
         console.log(`🔍 Fetching leaderboard for ${period}...`);
 
         const tracker = new MultiRepoTracker(
             config.github.organization,
             config.github.token,
-            config.github.repositories
+            config.github.repositories,
+            trackerOptions
         );
 
         const { aggregated } = await tracker.aggregateStats(period, date);
@@ -576,7 +732,8 @@ app.get('/api/leaderboard/:period', async (req, res) => {
 
         res.json({
             period,
-            date: date.toISOString().split('T')[0],
+            date: formatDate(date, timeZone),
+            ...getRequestRange(period, date),
             top,
             bottom,
             total: leaderboard.length,
@@ -598,7 +755,8 @@ app.get('/api/stats', async (req, res) => {
         const tracker = new MultiRepoTracker(
             config.github.organization,
             config.github.token,
-            config.github.repositories
+            config.github.repositories,
+            trackerOptions
         );
 
         const allRepos = await tracker.getAllRepositories();
@@ -633,8 +791,8 @@ app.get('/api/cache/status', async (req, res) => {
             }
         };
 
-        const periods = ['daily', 'weekly', 'monthly'];
-        for (const period of periods) {
+        // Every period kind has its own reports/ sub-directory (ranges share "sprint" and "custom")
+        for (const period of [...PERIODS, 'sprint', 'custom']) {
             try {
                 const reportsDir = path.join(__dirname, '../reports', period);
                 const files = await fs.readdir(reportsDir);
@@ -684,9 +842,7 @@ app.get('/api/cache/clear-all', async (req, res) => {
         cache.clear();
         
         let filesDeleted = 0;
-        const periods = ['daily', 'weekly', 'monthly'];
-        
-        for (const period of periods) {
+        for (const period of [...PERIODS, 'sprint', 'custom']) {
             try {
                 const reportsDir = path.join(__dirname, '../reports', period);
                 const files = await fs.readdir(reportsDir);
@@ -721,14 +877,26 @@ app.get('/api/cache/clear-all', async (req, res) => {
 /**
  * GET /api/health
  */
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+    let hasSprints = false;
+    try {
+        await sprints.load();
+        hasSprints = sprints.isConfigured();
+    } catch (error) {
+        console.log(`⚠️  ${error.message}`);
+    }
+
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
         cacheSize: cache.size,
+        rateLimit: githubClient.getUsageSummary(),
         config: {
             organization: config.github.organization,
-            hasToken: !!config.github.token
+            hasToken: !!config.github.token,
+            timeZone,
+            today: formatDate(new Date(), timeZone),
+            hasSprints
         }
     });
 });
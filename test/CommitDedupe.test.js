@@ -0,0 +1,89 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { hashPatch, normalizeMessage, getChangeSignature, findCandidateGroups, findDuplicates } = require('../src/CommitDedupe');
+
+const commit = (sha, message, date, { email = 'alice@example.com', parents = 1 } = {}) => ({
+    sha,
+    parents: Array.from({ length: parents }, (_, i) => ({ sha: `p${i}` })),
+    commit: {
+        message,
+        author: { name: 'Alice', email, date },
+        committer: { date }
+    }
+});
+
+describe('CommitDedupe', () => {
+    test('hashPatch ignores context lines, hunk positions and file order', () => {
+        const a = [
+            { filename: 'b.js', patch: '@@ -1,3 +1,3 @@\n ctx\n-old\n+new' },
+            { filename: 'a.js', patch: '@@ -10,2 +10,2 @@\n+added  ' }
+        ];
+        const b = [
+            { filename: 'a.js', patch: '@@ -40,2 +40,2 @@\n other ctx\n+added' },
+            { filename: 'b.js', patch: '@@ -7,3 +7,3 @@\n-old\n+new\n ctx2' }
+        ];
+
+        assert.strictEqual(hashPatch(a), hashPatch(b));
+        assert.notStrictEqual(hashPatch(a), hashPatch([{ filename: 'a.js', patch: '+added' }]));
+    });
+
+    test('hashPatch falls back to line counts for files without a patch', () => {
+        assert.strictEqual(
+            hashPatch([{ filename: 'logo.png', additions: 0, deletions: 0 }]),
+            hashPatch([{ filename: 'logo.png' }])
+        );
+        assert.notStrictEqual(
+            hashPatch([{ filename: 'big.json', additions: 5000, deletions: 0 }]),
+            hashPatch([{ filename: 'big.json', additions: 4000, deletions: 0 }])
+        );
+    });
+
+    test('normalizeMessage drops cherry-pick notes and collapses whitespace', () => {
+        assert.strictEqual(normalizeMessage('fix: bug\n\n(cherry picked from commit 1a2b3c)\n'), 'fix: bug');
+        assert.strictEqual(normalizeMessage('fix:   bug\n\nbody'), 'fix: bug body');
+        assert.strictEqual(normalizeMessage(null), '');
+    });
+
+    test('getChangeSignature combines author email and message', () => {
+        assert.strictEqual(
+            getChangeSignature(commit('a', 'fix: bug', '2025-01-01T00:00:00Z', { email: 'Alice@Example.com' })),
+            getChangeSignature(commit('b', 'fix: bug\n(cherry picked from commit abc123)', '2025-01-02T00:00:00Z'))
+        );
+    });
+
+    test('findCandidateGroups groups non-merge commits sharing a signature', () => {
+        const commits = [
+            commit('a', 'fix: bug', '2025-01-01T00:00:00Z'),
+            commit('b', 'fix: bug', '2025-01-02T00:00:00Z'),
+            commit('c', 'feat: other', '2025-01-02T00:00:00Z'),
+            commit('d', 'fix: bug', '2025-01-03T00:00:00Z', { email: 'bob@example.com' }),
+            commit('e', 'fix: bug', '2025-01-04T00:00:00Z', { parents: 2 })
+        ];
+
+        assert.deepStrictEqual(findCandidateGroups(commits).map(group => group.map(c => c.sha)), [['a', 'b']]);
+    });
+
+    test('findDuplicates keeps the earliest copy of each patch', () => {
+        const original = commit('a', 'fix: bug', '2025-01-02T00:00:00Z');
+        const picked = commit('b', 'fix: bug\n\n(cherry picked from commit aaa)', '2025-01-03T00:00:00Z');
+        const reworked = commit('c', 'fix: bug', '2025-01-04T00:00:00Z');
+        const patchIds = new Map([['a', 'p1'], ['b', 'p1'], ['c', 'p2']]);
+
+        assert.deepStrictEqual([...findDuplicates([[picked, original, reworked]], patchIds)], ['b']);
+    });
+
+    test('findDuplicates prefers the copy without a cherry-pick note on equal dates', () => {
+        const picked = commit('b', 'fix: bug\n\n(cherry picked from commit aaa)', '2025-01-02T00:00:00Z');
+        const original = commit('a', 'fix: bug', '2025-01-02T00:00:00Z');
+
+        assert.deepStrictEqual([...findDuplicates([[picked, original]], new Map([['a', 'p1'], ['b', 'p1']]))], ['b']);
+    });
+
+    test('commits without a patch id are never dropped', () => {
+        const a = commit('a', 'fix: bug', '2025-01-02T00:00:00Z');
+        const b = commit('b', 'fix: bug', '2025-01-03T00:00:00Z');
+
+        assert.strictEqual(findDuplicates([[a, b]], new Map([['a', 'p1']])).size, 0);
+    });
+});
@@ -0,0 +1,74 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { parseCoAuthors } = require('../src/CommitTrailers');
+const GitHubDevTracker = require('../src/GitHubDevTracker');
+
+const commit = (message, login = 'alice') => ({
+    sha: 'abc',
+    author: { login, type: 'User' },
+    commit: { message, author: { name: 'Alice', email: 'alice@example.com' } }
+});
+
+describe('parseCoAuthors', () => {
+    test('reads Co-authored-by trailers in message order', () => {
+        const message = 'feat: pair on login\n\nCo-authored-by: Bob Jones <bob@example.com>\nco-authored-by:   Carol <carol@example.com>  ';
+
+        assert.deepStrictEqual(parseCoAuthors(message), [
+            { name: 'Bob Jones', email: 'bob@example.com' },
+            { name: 'Carol', email: 'carol@example.com' }
+        ]);
+    });
+
+    test('drops duplicate emails and falls back to the email as name', () => {
+        const message = 'fix\n\nCo-authored-by: Bob <BOB@example.com>\nCo-authored-by: Bobby <bob@example.com>\nCo-authored-by: <dan@example.com>';
+
+        assert.deepStrictEqual(parseCoAuthors(message), [
+            { name: 'Bob', email: 'BOB@example.com' },
+            { name: 'dan@example.com', email: 'dan@example.com' }
+        ]);
+    });
+
+    test('ignores messages without trailers', () => {
+        assert.deepStrictEqual(parseCoAuthors('Mention Co-authored-by: in prose <x>'), []);
+        assert.deepStrictEqual(parseCoAuthors(null), []);
+    });
+});
+
+describe('co-author credit', () => {
+    const message = 'feat: x\n\nCo-authored-by: Bob <bob@example.com>\nCo-authored-by: Alice again <alice@example.com>\nCo-authored-by: dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>';
+
+    test('participants are the author and distinct human co-authors', () => {
+        const tracker = new GitHubDevTracker('org', 'repo', 'token', { client: {} });
+        // buildDevStats learns the author's email from linked commits first
+        tracker.identity.learn({ login: 'alice', name: 'Alice', email: 'alice@example.com' });
+
+        assert.deepStrictEqual(tracker.getCommitParticipants(commit(message)).map(p => p.id), ['alice', 'Bob']);
+    });
+
+    test('author policy only credits the commit author', () => {
+        const tracker = new GitHubDevTracker('org', 'repo', 'token', { client: {}, coAuthorCredit: 'author' });
+
+        assert.deepStrictEqual(tracker.getCommitParticipants(commit(message)).map(p => p.id), ['alice']);
+    });
+
+    test('split policy divides lines evenly and keeps the totals', () => {
+        const tracker = new GitHubDevTracker('org', 'repo', 'token', { client: {}, coAuthorCredit: 'split' });
+
+        assert.deepStrictEqual(tracker.splitCredit({ additions: 10, deletions: 5 }, 3), [
+            { additions: 4, deletions: 2 },
+            { additions: 3, deletions: 2 },
+            { additions: 3, deletions: 1 }
+        ]);
+        assert.deepStrictEqual(tracker.splitCredit({ additions: 10, deletions: 5 }, 1), [{ additions: 10, deletions: 5 }]);
+    });
+
+    test('full policy gives everyone all lines', () => {
+        const tracker = new GitHubDevTracker('org', 'repo', 'token', { client: {} });
+
+        assert.deepStrictEqual(tracker.splitCredit({ additions: 10, deletions: 5 }, 2), [
+            { additions: 10, deletions: 5 },
+            { additions: 10, deletions: 5 }
+        ]);
+    });
+});
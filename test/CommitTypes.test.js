@@ -0,0 +1,72 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { WORK_TYPES, classifyMessage, addWorkTypes, sumWorkTypes, workTypeColumns } = require('../src/CommitTypes');
+
+describe('classifyMessage', () => {
+    test('uses the conventional commit type, with scope and breaking marker', () => {
+        assert.strictEqual(classifyMessage('feat(api): add login'), 'feat');
+        assert.strictEqual(classifyMessage('fix!: drop old tokens'), 'fix');
+        assert.strictEqual(classifyMessage('Docs: update readme'), 'docs');
+        assert.strictEqual(classifyMessage('test(auth)!: cover expiry'), 'test');
+    });
+
+    test('folds aliases into the work types', () => {
+        assert.strictEqual(classifyMessage('perf: cache lookups'), 'refactor');
+        assert.strictEqual(classifyMessage('ci: run on node 20'), 'chore');
+        assert.strictEqual(classifyMessage('build(deps): bump express'), 'chore');
+        assert.strictEqual(classifyMessage('hotfix: null user'), 'fix');
+        assert.strictEqual(classifyMessage('feature: dark mode'), 'feat');
+    });
+
+    test('unknown conventional types fall back to keywords', () => {
+        assert.strictEqual(classifyMessage('wip: fix the broken build'), 'fix');
+        assert.strictEqual(classifyMessage('misc: something'), 'other');
+    });
+
+    test('classifies free-form titles by keyword, in priority order', () => {
+        assert.strictEqual(classifyMessage('Fix typo in docs'), 'fix');
+        assert.strictEqual(classifyMessage('Add tests for login'), 'test');
+        assert.strictEqual(classifyMessage('Update README'), 'docs');
+        assert.strictEqual(classifyMessage('Clean up the session code'), 'refactor');
+        assert.strictEqual(classifyMessage('Bump version to 2.0'), 'chore');
+        assert.strictEqual(classifyMessage('Implement password reset'), 'feat');
+        assert.strictEqual(classifyMessage('WIP'), 'other');
+    });
+
+    test('only reads the title', () => {
+        assert.strictEqual(classifyMessage('Tweak spacing\n\nFixes a bug in the layout'), 'other');
+        assert.strictEqual(classifyMessage(''), 'other');
+        assert.strictEqual(classifyMessage(null), 'other');
+    });
+
+    test('always returns one of WORK_TYPES', () => {
+        for (const message of ['feat: x', 'revert: x', 'Merge branch main', 'hello']) {
+            assert.ok(WORK_TYPES.includes(classifyMessage(message)), message);
+        }
+    });
+});
+
+describe('work type counts', () => {
+    test('addWorkTypes adds into the target in place', () => {
+        const target = { feat: 1 };
+        assert.strictEqual(addWorkTypes(target, { feat: 2, fix: 1 }), target);
+        assert.deepStrictEqual(target, { feat: 3, fix: 1 });
+        assert.deepStrictEqual(addWorkTypes({ fix: 1 }, undefined), { fix: 1 });
+    });
+
+    test('sumWorkTypes sums over developers', () => {
+        const stats = {
+            alice: { workTypes: { feat: 2, fix: 1 } },
+            bob: { workTypes: { fix: 3, docs: 1 } },
+            carol: {}
+        };
+
+        assert.deepStrictEqual(sumWorkTypes(stats), { feat: 2, fix: 4, docs: 1 });
+    });
+
+    test('workTypeColumns follows WORK_TYPES order with zeros', () => {
+        assert.deepStrictEqual(workTypeColumns({ docs: 1, feat: 2, other: 5 }), [2, 0, 0, 0, 1, 0, 5]);
+        assert.deepStrictEqual(workTypeColumns(undefined), [0, 0, 0, 0, 0, 0, 0]);
+    });
+});
@@ -0,0 +1,140 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ComponentMap = require('../src/ComponentMap');
+
+const componentsOf = (map, repo, files, workspaces = []) => {
+    const components = map.forRepo(repo, workspaces);
+    return files.map(file => ComponentMap.componentOf(components, file));
+};
+
+describe('ComponentMap prefixes', () => {
+    test('`*` gives one component per directory', () => {
+        const map = new ComponentMap({ components: 'packages/*' });
+
+        assert.deepStrictEqual(
+            componentsOf(map, 'shop', ['packages/api/src/index.js', 'packages/ui/button.tsx', 'packages/README.md', 'docs/a.md']),
+            ['packages/api', 'packages/ui', '(root)', '(root)']
+        );
+    });
+
+    test('`**` and trailing slashes still match one directory', () => {
+        const map = new ComponentMap({ components: ['tools/**', './apps/web/'] });
+
+        assert.deepStrictEqual(
+            componentsOf(map, 'shop', ['tools/lint/rules/a.js', 'apps/web/pages/index.js', 'apps/webhooks/a.js']),
+            ['tools/lint', 'apps/web', '(root)']
+        );
+    });
+
+    test('named prefixes and first match wins', () => {
+        const map = new ComponentMap({ components: 'web=apps/web, apps/*' });
+
+        assert.deepStrictEqual(componentsOf(map, 'shop', ['apps/web/a.js', 'apps/admin/a.js']), ['web', 'apps/admin']);
+    });
+
+    test('regular expression characters in prefixes are literal', () => {
+        const map = new ComponentMap({ components: 'lib/c++' });
+
+        assert.deepStrictEqual(componentsOf(map, 'shop', ['lib/c++/a.cc', 'lib/cc/a.cc']), ['lib/c++', '(root)']);
+    });
+
+    test('without prefixes there are no components', () => {
+        assert.deepStrictEqual(new ComponentMap().forRepo('shop'), []);
+    });
+});
+
+describe('ComponentMap per-repository file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'components-'));
+    const componentsPath = path.join(dir, 'components.json');
+    fs.writeFileSync(componentsPath, JSON.stringify({ admin: ['services/*'], legacy: [] }));
+
+    test('replaces the defaults for listed repositories only', async () => {
+        const map = new ComponentMap({ components: 'packages/*', componentsPath });
+        await map.load();
+
+        assert.deepStrictEqual(componentsOf(map, 'admin', ['services/auth/a.js', 'packages/api/a.js']), ['services/auth', '(root)']);
+        assert.deepStrictEqual(componentsOf(map, 'shop', ['packages/api/a.js']), ['packages/api']);
+        assert.deepStrictEqual(map.forRepo('legacy'), []);
+    });
+
+    test('object prototype names are not repositories', async () => {
+        const map = new ComponentMap({ components: 'packages/*', componentsPath });
+        await map.load();
+
+        assert.strictEqual(map.forRepo('constructor').length, 1);
+        assert.strictEqual(map.forRepo('toString').length, 1);
+    });
+
+    test('workspaces come after configured prefixes', async () => {
+        const map = new ComponentMap({ components: 'core=packages/core' });
+
+        assert.deepStrictEqual(
+            componentsOf(map, 'shop', ['packages/core/a.js', 'packages/ui/a.js'], ['packages/*']),
+            ['core', 'packages/ui']
+        );
+    });
+
+    test('a missing file keeps the defaults, an invalid one is an error', async () => {
+        const missing = new ComponentMap({ components: 'packages/*', componentsPath: path.join(dir, 'none.json') });
+        await missing.load();
+        assert.strictEqual(missing.forRepo('admin').length, 1);
+
+        const invalidPath = path.join(dir, 'invalid.json');
+        fs.writeFileSync(invalidPath, '{ nope');
+        await assert.rejects(new ComponentMap({ componentsPath: invalidPath }).load(), /Invalid components file/);
+    });
+});
+
+describe('ComponentMap.parseWorkspaces', () => {
+    test('reads package.json, lerna.json and pnpm-workspace.yaml', () => {
+        const files = {
+            'package.json': JSON.stringify({ workspaces: ['packages/*', '!packages/legacy'] }),
+            'lerna.json': JSON.stringify({ packages: ['packages/*', 'tools/*'] }),
+            'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - \"libs/**\" # shared\nother:\n  - ignored/*\n"
+        };
+
+        assert.deepStrictEqual(ComponentMap.parseWorkspaces(files), ['packages/*', 'tools/*', 'apps/*', 'libs/**']);
+    });
+
+    test('accepts the yarn { packages } form and ignores invalid JSON', () => {
+        assert.deepStrictEqual(ComponentMap.parseWorkspaces({ 'package.json': JSON.stringify({ workspaces: { packages: ['modules/*'] } }) }), ['modules/*']);
+        assert.deepStrictEqual(ComponentMap.parseWorkspaces({ 'package.json': '{', 'lerna.json': 'nope' }), []);
+        assert.deepStrictEqual(ComponentMap.parseWorkspaces({}), []);
+    });
+});
+
+describe('ComponentMap summaries', () => {
+    const stats = {
+        alice: { components: { 'packages/api': { commits: 2, additions: 100, deletions: 10 }, '(root)': { commits: 1, additions: 1, deletions: 0 } } },
+        bob: { components: { 'packages/api': { commits: 1, additions: 5, deletions: 0 } } },
+        carol: {}
+    };
+
+    test('summarize sums components over developers', () => {
+        const summary = ComponentMap.summarize(stats);
+
+        assert.deepStrictEqual(Object.keys(summary), ['packages/api', '(root)']);
+        assert.deepStrictEqual(summary['packages/api'], {
+            commits: 3,
+            additions: 105,
+            deletions: 10,
+            developers: { alice: { commits: 2, additions: 100, deletions: 10 }, bob: { commits: 1, additions: 5, deletions: 0 } }
+        });
+    });
+
+    test('describeDevelopers lists the most lines changed first', () => {
+        const developers = {
+            bob: { additions: 5, deletions: 0 },
+            alice: { additions: 100, deletions: 10 },
+            carol: { additions: 1, deletions: 1 },
+            dan: { additions: 0, deletions: 1 }
+        };
+
+        assert.strictEqual(ComponentMap.describeDevelopers(developers, 2), 'alice +100/-10, bob +5/-0 (+2 more)');
+        assert.strictEqual(ComponentMap.describeDevelopers({}), '');
+    });
+});
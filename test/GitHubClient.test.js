@@ -0,0 +1,41 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const GitHubClient = require('../src/GitHubClient');
+
+const rateLimited = (headers, status = 403) => ({ response: { status, headers, data: {} } });
+
+describe('GitHubClient.getRetryDelay', () => {
+    const client = new GitHubClient('token');
+
+    test('Retry-After in seconds', () => {
+        assert.strictEqual(client.getRetryDelay(rateLimited({ 'retry-after': '30' }), 0), 30000);
+        assert.strictEqual(client.getRetryDelay(rateLimited({ 'retry-after': '0' }, 429), 0), 0);
+    });
+
+    test('Retry-After as an HTTP date', () => {
+        const delay = client.getRetryDelay(rateLimited({ 'retry-after': new Date(Date.now() + 90000).toUTCString() }), 0);
+        assert.ok(delay > 85000 && delay <= 90000, `delay ${delay}`);
+
+        const past = client.getRetryDelay(rateLimited({ 'retry-after': 'Wed, 21 Oct 2015 07:28:00 GMT' }), 0);
+        assert.strictEqual(past, 0);
+    });
+
+    test('unreadable Retry-After falls back to the backoff', () => {
+        assert.strictEqual(client.getRetryDelay(rateLimited({ 'retry-after': 'soon' }), 0), 60000);
+        assert.strictEqual(client.getRetryDelay(rateLimited({ 'retry-after': 'soon' }), 2), 240000);
+    });
+
+    test('primary limits wait for the reset', () => {
+        const reset = String(Math.floor(Date.now() / 1000) + 120);
+        const delay = client.getRetryDelay(rateLimited({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }), 0);
+        assert.ok(delay > 100000 && delay <= 121000, `delay ${delay}`);
+    });
+
+    test('server errors back off, client errors are not retried', () => {
+        assert.strictEqual(client.getRetryDelay({ response: { status: 502, headers: {} } }, 1), 2000);
+        assert.strictEqual(client.getRetryDelay({ response: { status: 404, headers: {} } }, 0), null);
+        assert.strictEqual(client.getRetryDelay({ code: 'ECONNRESET' }, 0), 1000);
+        assert.strictEqual(client.getRetryDelay({ code: 'ENOTFOUND' }, 0), null);
+    });
+});
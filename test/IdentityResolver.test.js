@@ -0,0 +1,103 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const IdentityResolver = require('../src/IdentityResolver');
+
+const MAILMAP = [
+    '# team mailmap',
+    'Alice Smith <alice@example.com>',
+    '<alice@example.com> <alice@old-laptop.local>',
+    'Bob Jones <bob@example.com> bobby <bob@personal.dev>',
+    'Bob Jones <bob@example.com> Robert <bob@personal.dev>',
+    'not a mailmap line'
+].join('\n');
+
+describe('IdentityResolver', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-tracker-identity-'));
+        fs.writeFileSync(path.join(dir, '.mailmap'), MAILMAP);
+        fs.writeFileSync(path.join(dir, 'aliases.json'), JSON.stringify({ 'carol-gh': ['carol@contractor.io', 'Carol W'] }));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('parseMailmap reads the four mailmap forms and skips comments', () => {
+        const entries = IdentityResolver.parseMailmap(MAILMAP);
+
+        assert.strictEqual(entries.length, 4);
+        assert.deepStrictEqual(entries[0], { properName: 'Alice Smith', properEmail: null, commitName: null, commitEmail: 'alice@example.com' });
+        assert.deepStrictEqual(entries[1], { properName: null, properEmail: 'alice@example.com', commitName: null, commitEmail: 'alice@old-laptop.local' });
+        assert.deepStrictEqual(entries[2], { properName: 'Bob Jones', properEmail: 'bob@example.com', commitName: 'bobby', commitEmail: 'bob@personal.dev' });
+    });
+
+    test('applyMailmap rewrites names and emails, entries with a commit name must match it', () => {
+        const resolver = new IdentityResolver();
+        resolver.mailmap = IdentityResolver.parseMailmap(MAILMAP);
+
+        assert.deepStrictEqual(resolver.applyMailmap('alice', 'ALICE@example.com'), { name: 'Alice Smith', email: 'ALICE@example.com' });
+        assert.deepStrictEqual(resolver.applyMailmap('alice', 'alice@old-laptop.local'), { name: 'alice', email: 'alice@example.com' });
+        assert.deepStrictEqual(resolver.applyMailmap('bobby', 'bob@personal.dev'), { name: 'Bob Jones', email: 'bob@example.com' });
+        assert.deepStrictEqual(resolver.applyMailmap('someone', 'bob@personal.dev'), { name: 'someone', email: 'bob@personal.dev' });
+    });
+
+    test('loginFromNoreply reads private GitHub addresses', () => {
+        assert.strictEqual(IdentityResolver.loginFromNoreply('12345+octocat@users.noreply.github.com'), 'octocat');
+        assert.strictEqual(IdentityResolver.loginFromNoreply('octocat@users.noreply.github.com'), 'octocat');
+        assert.strictEqual(IdentityResolver.loginFromNoreply('octocat@example.com'), null);
+    });
+
+    test('resolve prefers aliases, then the GitHub login, learned emails and the name', async () => {
+        const resolver = new IdentityResolver({
+            mailmapPath: path.join(dir, '.mailmap'),
+            aliasesPath: path.join(dir, 'aliases.json')
+        });
+        await resolver.load();
+
+        resolver.learn({ login: 'alice-gh', name: 'Alice', email: 'alice@example.com' });
+
+        assert.strictEqual(resolver.resolve({ login: null, name: 'Carol W', email: 'carol@home.net' }).id, 'carol-gh');
+        assert.strictEqual(resolver.resolve({ login: null, name: 'c', email: 'CAROL@contractor.io' }).id, 'carol-gh');
+        assert.strictEqual(resolver.resolve({ login: 'dave', name: 'Dave', email: 'dave@example.com' }).id, 'dave');
+        assert.strictEqual(resolver.resolve({ login: null, name: 'x', email: '1+erin@users.noreply.github.com' }).id, 'erin');
+        // Old laptop email is mailmapped to the address learned from a linked commit
+        assert.deepStrictEqual(
+            resolver.resolve({ login: null, name: 'alice', email: 'alice@old-laptop.local' }),
+            { id: 'alice-gh', name: 'alice', email: 'alice@example.com' }
+        );
+        assert.strictEqual(resolver.resolve({ login: null, name: 'Nobody', email: 'nobody@example.com' }).id, 'Nobody');
+    });
+
+    test('the first login linked to an email keeps it', () => {
+        const resolver = new IdentityResolver();
+        resolver.learn({ login: 'first', name: 'A', email: 'shared@example.com' });
+        resolver.learn({ login: 'second', name: 'B', email: 'shared@example.com' });
+
+        assert.strictEqual(resolver.resolve({ login: null, name: 'C', email: 'shared@example.com' }).id, 'first');
+    });
+
+    test('resolveKey re-keys aggregated developers', async () => {
+        const resolver = new IdentityResolver({ aliasesPath: path.join(dir, 'aliases.json') });
+        await resolver.load();
+        resolver.learn({ login: 'frank', name: 'Frank', email: 'frank@example.com' });
+
+        assert.strictEqual(resolver.resolveKey('Carol W'), 'carol-gh');
+        assert.strictEqual(resolver.resolveKey('frank'), 'frank');
+        assert.strictEqual(resolver.resolveKey('Frank F', 'frank@example.com'), 'frank');
+        assert.strictEqual(resolver.resolveKey('Unknown Person'), 'Unknown Person');
+    });
+
+    test('missing files are ignored', async () => {
+        const resolver = new IdentityResolver({ mailmapPath: path.join(dir, 'missing'), aliasesPath: path.join(dir, 'missing.json') });
+        await resolver.load();
+
+        assert.deepStrictEqual(resolver.mailmap, []);
+        assert.strictEqual(resolver.aliases.size, 0);
+    });
+});
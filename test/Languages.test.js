@@ -0,0 +1,113 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { languageOf, addLanguages, sumLanguages, describeLanguages } = require('../src/Languages');
+const GitHubDevTracker = require('../src/GitHubDevTracker');
+
+describe('languageOf', () => {
+    test('reads extensions and well-known file names', () => {
+        assert.strictEqual(languageOf('contracts/Token.sol'), 'Solidity');
+        assert.strictEqual(languageOf('src/App.TSX'), 'TypeScript');
+        assert.strictEqual(languageOf('docker/Dockerfile'), 'Dockerfile');
+        assert.strictEqual(languageOf('Dockerfile.prod'), 'Dockerfile');
+        assert.strictEqual(languageOf('Makefile'), 'Makefile');
+        assert.strictEqual(languageOf('assets/logo.xyz'), 'Other');
+    });
+
+    test('file names that are object prototype keys are not special', () => {
+        assert.strictEqual(languageOf('bin/constructor'), 'Other');
+        assert.strictEqual(languageOf('toString'), 'Other');
+    });
+
+    test('shared extensions use the repository languages when known', () => {
+        assert.strictEqual(languageOf('src/util.h'), 'C');
+        assert.strictEqual(languageOf('src/util.h', ['C++', 'Python']), 'C++');
+        assert.strictEqual(languageOf('src/util.h', ['Python']), 'C');
+    });
+});
+
+describe('language totals', () => {
+    test('addLanguages and sumLanguages add line counts', () => {
+        const stats = {
+            alice: { languages: { JavaScript: { additions: 10, deletions: 2 } } },
+            bob: { languages: { JavaScript: { additions: 1, deletions: 0 }, Solidity: { additions: 5, deletions: 5 } } },
+            carol: {}
+        };
+
+        assert.deepStrictEqual(sumLanguages(stats), {
+            JavaScript: { additions: 11, deletions: 2 },
+            Solidity: { additions: 5, deletions: 5 }
+        });
+        assert.deepStrictEqual(addLanguages({}, undefined), {});
+    });
+
+    test('describeLanguages lists the most lines changed first', () => {
+        const languages = { Go: { additions: 1, deletions: 0 }, Rust: { additions: 50, deletions: 5 }, Shell: { additions: 0, deletions: 0 } };
+
+        assert.strictEqual(describeLanguages(languages), 'Rust +50/-5, Go +1/-0');
+        assert.strictEqual(describeLanguages(languages, 1), 'Rust +50/-5 (+1 more)');
+        assert.strictEqual(describeLanguages({}), '-');
+    });
+});
+
+describe('GitHubDevTracker languages', () => {
+    /**
+     * Tracker whose GraphQL batch and REST calls are recorded instead of sent
+     */
+    function createTracker(options) {
+        const tracker = new GitHubDevTracker('org', 'repo', 'token', {
+            client: { pool: { map: (items, fn) => Promise.all(items.map(fn)) } },
+            ...options
+        });
+        const calls = { graphql: 0, rest: 0 };
+        tracker.getCommitStatsBatch = async (shas) => {
+            calls.graphql++;
+            return new Map(shas.map(sha => [sha, { additions: 530, deletions: 4 }]));
+        };
+        tracker.fetchCommitStats = async () => {
+            calls.rest++;
+            return {
+                additions: 530,
+                deletions: 4,
+                files: [
+                    { filename: 'contracts/Token.sol', additions: 20, deletions: 4 },
+                    { filename: 'web/app.ts', additions: 10, deletions: 0 },
+                    { filename: 'package-lock.json', additions: 500, deletions: 0 }
+                ]
+            };
+        };
+        return { tracker, calls };
+    }
+
+    const commits = [{
+        sha: 'a',
+        parents: [{ sha: 'p' }],
+        author: { login: 'alice', type: 'User' },
+        commit: { message: 'Add token', author: { name: 'Alice', email: 'alice@example.com' } }
+    }];
+
+    test('default settings split every commit by language, generated files left out', async () => {
+        // USE_GRAPHQL does not change this: the default excludes need per-file counts
+        for (const options of [{}, { useGraphQL: true }]) {
+            const { tracker, calls } = createTracker(options);
+
+            const { alice } = tracker.buildDevStats(commits, await tracker.resolveCommitStats(commits));
+
+            assert.deepStrictEqual(calls, { graphql: 0, rest: 1 });
+            assert.deepStrictEqual(alice.languages, {
+                Solidity: { additions: 20, deletions: 4 },
+                TypeScript: { additions: 10, deletions: 0 }
+            });
+            assert.deepStrictEqual([alice.additions, alice.deletions], [30, 4]);
+        }
+    });
+
+    test('GraphQL totals without path rules are Unknown', async () => {
+        const { tracker, calls } = createTracker({ useGraphQL: true, defaultExcludes: false });
+
+        const { alice } = tracker.buildDevStats(commits, await tracker.resolveCommitStats(commits));
+
+        assert.deepStrictEqual(calls, { graphql: 1, rest: 0 });
+        assert.deepStrictEqual(alice.languages, { Unknown: { additions: 530, deletions: 4 } });
+    });
+});
@@ -0,0 +1,182 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LocalGitBackend = require('../src/LocalGitBackend');
+
+/**
+ * Fixture repository in a temp dir with commits on fixed dates
+ */
+function createRepo() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dev-tracker-git-'));
+
+    const git = (args, date = '2025-01-10T12:00:00Z') => execFileSync('git', [
+        '-c', 'user.name=Alice', '-c', 'user.email=alice@example.com', '-c', 'commit.gpgsign=false', ...args
+    ], {
+        cwd: dir,
+        env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+        encoding: 'utf8'
+    }).trim();
+
+    const commit = (message, files, date) => {
+        for (const [name, contents] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+            fs.writeFileSync(path.join(dir, name), contents);
+        }
+        git(['add', '-A'], date);
+        git(['commit', '--quiet', '-m', message], date);
+        return git(['rev-parse', 'HEAD']);
+    };
+
+    git(['init', '--quiet', '-b', 'main']);
+
+    return { dir, git, commit };
+}
+
+describe('LocalGitBackend', () => {
+    let repo;
+    const shas = {};
+
+    before(() => {
+        repo = createRepo();
+        shas.first = repo.commit('feat: add app\n\nCo-authored-by: Bob <bob@example.com>', {
+            'src/app.js': 'one\ntwo\nthree\n',
+            'logo.png': Buffer.from([0, 1, 2, 3, 0, 255])
+        }, '2025-01-10T12:00:00Z');
+        repo.git(['tag', 'v1.0.0']);
+        shas.second = repo.commit('fix: change app', { 'src/app.js': 'one\n2\nthree\nfour\n' }, '2025-01-15T12:00:00Z');
+
+        repo.git(['checkout', '--quiet', '-b', 'feature', 'v1.0.0']);
+        shas.picked = repo.commit('fix: change app', { 'src/app.js': 'one\n2\nthree\nfour\n' }, '2025-01-16T12:00:00Z');
+        repo.git(['checkout', '--quiet', 'main']);
+        repo.git(['tag', 'v1.1.0']);
+    });
+
+    after(() => {
+        fs.rmSync(repo.dir, { recursive: true, force: true });
+    });
+
+    test('parseLog reads commits, parents, per-file counts and binary files', () => {
+        const output = '\x1eabc\x1fp1 p2\x1fAlice\x1falice@example.com\x1f2025-01-10T12:00:00Z\x1f2025-01-11T12:00:00Z\x1fMerge branch\n\nbody\n\x1d\n'
+            + '3\t1\tsrc/a.js\n-\t-\timg.png\n';
+
+        const { commits, statsBySha } = LocalGitBackend.parseLog(output);
+
+        assert.strictEqual(commits.length, 1);
+        assert.strictEqual(commits[0].sha, 'abc');
+        assert.deepStrictEqual(commits[0].parents, [{ sha: 'p1' }, { sha: 'p2' }]);
+        assert.deepStrictEqual(commits[0].commit.author, { name: 'Alice', email: 'alice@example.com', date: '2025-01-10T12:00:00Z' });
+        assert.strictEqual(commits[0].commit.committer.date, '2025-01-11T12:00:00Z');
+        assert.strictEqual(commits[0].commit.message, 'Merge branch\n\nbody');
+        assert.strictEqual(commits[0].author, null);
+        assert.deepStrictEqual(statsBySha.get('abc'), {
+            additions: 3,
+            deletions: 1,
+            files: [
+                { filename: 'src/a.js', additions: 3, deletions: 1 },
+                { filename: 'img.png', additions: 0, deletions: 0 }
+            ]
+        });
+    });
+
+    test('parseLog returns nothing for empty output', () => {
+        const { commits, statsBySha } = LocalGitBackend.parseLog('');
+        assert.deepStrictEqual(commits, []);
+        assert.strictEqual(statsBySha.size, 0);
+    });
+
+    test('getCommitsInRange returns the commits of every branch inside the window', async () => {
+        const backend = new LocalGitBackend(repo.dir);
+
+        const { commits, statsBySha } = await backend.getCommitsInRange(
+            new Date('2025-01-01T00:00:00Z'), new Date('2025-01-31T00:00:00Z')
+        );
+
+        assert.deepStrictEqual(commits.map(c => c.sha).sort(), [shas.first, shas.second, shas.picked].sort());
+        assert.deepStrictEqual(statsBySha.get(shas.first), {
+            additions: 3,
+            deletions: 0,
+            files: [
+                { filename: 'logo.png', additions: 0, deletions: 0 },
+                { filename: 'src/app.js', additions: 3, deletions: 0 }
+            ]
+        });
+        assert.deepStrictEqual(statsBySha.get(shas.second), {
+            additions: 2,
+            deletions: 1,
+            files: [{ filename: 'src/app.js', additions: 2, deletions: 1 }]
+        });
+
+        const first = commits.find(c => c.sha === shas.first);
+        assert.strictEqual(first.commit.author.email, 'alice@example.com');
+        assert.match(first.commit.message, /Co-authored-by: Bob/);
+    });
+
+    test('getCommitsInRange honours the window and the branch list', async () => {
+        const backend = new LocalGitBackend(repo.dir);
+
+        const window = await backend.getCommitsInRange(new Date('2025-01-14T00:00:00Z'), new Date('2025-01-31T00:00:00Z'));
+        assert.deepStrictEqual(window.commits.map(c => c.sha).sort(), [shas.second, shas.picked].sort());
+
+        const main = await backend.getCommitsInRange(new Date('2025-01-01T00:00:00Z'), new Date('2025-01-31T00:00:00Z'), ['main']);
+        assert.deepStrictEqual(main.commits.map(c => c.sha).sort(), [shas.first, shas.second].sort());
+
+        const none = await backend.getCommitsInRange(new Date('2025-01-01T00:00:00Z'), new Date('2025-01-31T00:00:00Z'), []);
+        assert.deepStrictEqual(none.commits, []);
+    });
+
+    test('getPatchIds gives cherry-picked copies the same patch id', async () => {
+        const backend = new LocalGitBackend(repo.dir);
+
+        const patchIds = await backend.getPatchIds([shas.first, shas.second, shas.picked]);
+
+        assert.strictEqual(patchIds.size, 3);
+        assert.strictEqual(patchIds.get(shas.second), patchIds.get(shas.picked));
+        assert.notStrictEqual(patchIds.get(shas.first), patchIds.get(shas.second));
+        assert.strictEqual((await backend.getPatchIds([])).size, 0);
+    });
+
+    test('getCommitsBetween returns the commits in head but not in base', async () => {
+        const backend = new LocalGitBackend(repo.dir);
+
+        const { commits, statsBySha } = await backend.getCommitsBetween('v1.0.0', 'v1.1.0');
+
+        assert.deepStrictEqual(commits.map(c => c.sha), [shas.second]);
+        assert.strictEqual(statsBySha.get(shas.second).additions, 2);
+    });
+
+    test('getCommitsBetween rejects refs that look like options', async () => {
+        const backend = new LocalGitBackend(repo.dir);
+
+        await assert.rejects(backend.getCommitsBetween('--all', 'v1.1.0'), /Invalid git ref/);
+        await assert.rejects(backend.getCommitsBetween('v1.0.0', ''), /Invalid git ref/);
+    });
+
+    test('listBranches, getDefaultBranch and readFile read the local repository', async () => {
+        const backend = new LocalGitBackend(repo.dir);
+
+        assert.deepStrictEqual((await backend.listBranches()).map(b => b.name).sort(), ['feature', 'main']);
+        assert.strictEqual(await backend.getDefaultBranch(), 'main');
+        assert.strictEqual(await backend.readFile('src/app.js'), 'one\n2\nthree\nfour\n');
+        assert.strictEqual(await backend.readFile('missing.json'), null);
+    });
+});
+
+describe('GitHubDevTracker git backend', () => {
+    const GitHubDevTracker = require('../src/GitHubDevTracker');
+
+    test('mirrors default to a local directory without loading the config', () => {
+        const tracker = new GitHubDevTracker('org', 'repo', 'token', { client: {}, backend: 'git' });
+
+        assert.strictEqual(tracker.gitBackend.repoPath, path.join('.git-mirrors', 'org', 'repo.git'));
+    });
+
+    test('gitMirrorDir chooses where mirrors are cloned', () => {
+        const tracker = new GitHubDevTracker('org', 'repo', 'token', { client: {}, backend: 'git', gitMirrorDir: '/srv/mirrors' });
+
+        assert.strictEqual(tracker.gitBackend.repoPath, path.join('/srv/mirrors', 'org', 'repo.git'));
+    });
+});
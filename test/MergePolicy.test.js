@@ -0,0 +1,50 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { MERGE_POLICIES, classifyCommit, describeCommitTypes } = require('../src/MergePolicy');
+
+const commit = (message, parents = 1) => ({
+    parents: Array.from({ length: parents }, (_, i) => ({ sha: `p${i}` })),
+    commit: { message }
+});
+
+describe('classifyCommit', () => {
+    test('more than one parent is a merge, whatever the title', () => {
+        assert.strictEqual(classifyCommit(commit("Merge branch 'main' into feature", 2)), 'merge');
+        assert.strictEqual(classifyCommit(commit('Add login (#12)', 2)), 'merge');
+        assert.strictEqual(classifyCommit(commit('Octopus', 3)), 'merge');
+    });
+
+    test('a pull request number at the end of the title is a squash merge', () => {
+        assert.strictEqual(classifyCommit(commit('Add login (#123)')), 'squash');
+        assert.strictEqual(classifyCommit(commit('Add login (#123)  \n\n* first\n* second')), 'squash');
+    });
+
+    test('anything else is a regular commit', () => {
+        assert.strictEqual(classifyCommit(commit('Add login')), 'commit');
+        assert.strictEqual(classifyCommit(commit('Fix #123 in the title')), 'commit');
+        assert.strictEqual(classifyCommit(commit('Add login\n\nSquashed from (#123)')), 'commit');
+        assert.strictEqual(classifyCommit(commit('')), 'commit');
+        assert.strictEqual(classifyCommit({ commit: { message: 'No parents listed (#5)' } }), 'squash');
+    });
+});
+
+describe('describeCommitTypes', () => {
+    test('splits commit counts into regular, squash and merge', () => {
+        const stats = {
+            alice: { commits: 10, mergeCommits: 2, squashMerges: 3 },
+            bob: { commits: 4, mergeCommits: 0, squashMerges: 1 },
+            carol: { commits: 1 }
+        };
+
+        assert.strictEqual(
+            describeCommitTypes(stats, 'commits-only'),
+            '9 regular, 4 squash merges, 2 merge commits (merge policy: commits-only)'
+        );
+    });
+
+    test('knows the three merge policies', () => {
+        assert.deepStrictEqual(MERGE_POLICIES, ['skip', 'commits-only', 'full']);
+        assert.strictEqual(describeCommitTypes({}, 'skip'), '0 regular, 0 squash merges, 0 merge commits (merge policy: skip)');
+    });
+});
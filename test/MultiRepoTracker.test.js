@@ -0,0 +1,64 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const MultiRepoTracker = require('../src/MultiRepoTracker');
+const GitHubDevTracker = require('../src/GitHubDevTracker');
+
+/**
+ * One repository's stats for a developer, as GitHubDevTracker.buildDevStats returns them
+ */
+function repoStats(overrides) {
+    return { ...GitHubDevTracker.createDevStats('Alice', 'alice@example.com'), ...overrides };
+}
+
+describe('MultiRepoTracker.mergeRepoStats', () => {
+    const tracker = new MultiRepoTracker('org', 'token', null, { client: {} });
+
+    test('aggregates start from the same fields as per-repository stats', () => {
+        const { aggregated } = tracker.mergeRepoStats([], [], ['bob']);
+
+        assert.deepStrictEqual(
+            Object.keys(aggregated.bob).sort(),
+            [...Object.keys(GitHubDevTracker.createDevStats('bob', '')), 'repositories'].sort()
+        );
+        assert.strictEqual(aggregated.bob.name, 'bob');
+    });
+
+    test('sums developers across repositories', () => {
+        const { aggregated, byRepo } = tracker.mergeRepoStats(['api', 'web'], [
+            { alice: repoStats({ commits: 2, additions: 10, deletions: 1, netLines: 9, workTypes: { feat: 2 }, commitShas: ['a1', 'a2'], testLines: { additions: 4, deletions: 0 } }) },
+            { alice: repoStats({ commits: 1, additions: 5, deletions: 0, netLines: 5, workTypes: { feat: 1, fix: 1 }, commitShas: ['w1'], unclassifiedLines: { additions: 5, deletions: 0 } }) }
+        ], ['alice']);
+
+        const alice = aggregated.alice;
+        assert.deepStrictEqual([alice.commits, alice.additions, alice.deletions, alice.netLines], [3, 15, 1, 14]);
+        assert.deepStrictEqual(alice.workTypes, { feat: 3, fix: 1 });
+        assert.deepStrictEqual(alice.commitShas, ['a1', 'a2', 'w1']);
+        assert.deepStrictEqual(alice.testLines, { additions: 4, deletions: 0 });
+        assert.deepStrictEqual(alice.unclassifiedLines, { additions: 5, deletions: 0 });
+        assert.deepStrictEqual(alice.repositories, ['api', 'web']);
+        assert.strictEqual(byRepo.web.alice.commits, 1);
+    });
+
+    test('keeps components of different repositories apart', () => {
+        const { aggregated } = tracker.mergeRepoStats(['shop', 'admin'], [
+            { alice: repoStats({ components: { '(root)': { commits: 1, additions: 3, deletions: 0 }, 'packages/api': { commits: 2, additions: 8, deletions: 1 } } }) },
+            { alice: repoStats({ components: { '(root)': { commits: 1, additions: 2, deletions: 2 } } }) }
+        ], ['alice']);
+
+        assert.deepStrictEqual(aggregated.alice.components, {
+            'shop/(root)': { commits: 1, additions: 3, deletions: 0 },
+            'shop/packages/api': { commits: 2, additions: 8, deletions: 1 },
+            'admin/(root)': { commits: 1, additions: 2, deletions: 2 }
+        });
+    });
+
+    test('puts bots in their own map', () => {
+        const { aggregated, bots } = tracker.mergeRepoStats(['api'], [
+            { 'dependabot[bot]': { ...repoStats({ commits: 4 }), isBot: true } }
+        ], []);
+
+        assert.deepStrictEqual(Object.keys(aggregated), []);
+        assert.strictEqual(bots['dependabot[bot]'].commits, 4);
+    });
+});
@@ -0,0 +1,130 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const PathFilter = require('../src/PathFilter');
+const GitHubDevTracker = require('../src/GitHubDevTracker');
+
+const { globToRegExp } = PathFilter;
+
+describe('PathFilter', () => {
+    test('globToRegExp matches within and across path segments', () => {
+        assert.ok(globToRegExp('src/*.js').test('src/app.js'));
+        assert.ok(!globToRegExp('src/*.js').test('src/lib/app.js'));
+        assert.ok(globToRegExp('src/**').test('src/lib/app.js'));
+        assert.ok(globToRegExp('**/dist/**').test('dist/app.js'));
+        assert.ok(globToRegExp('**/dist/**').test('packages/ui/dist/app.js'));
+        assert.ok(globToRegExp('file?.txt').test('file1.txt'));
+        assert.ok(!globToRegExp('file?.txt').test('file10.txt'));
+    });
+
+    test('patterns without a slash match the file name in any directory', () => {
+        assert.ok(globToRegExp('yarn.lock').test('yarn.lock'));
+        assert.ok(globToRegExp('yarn.lock').test('apps/web/yarn.lock'));
+        assert.ok(!globToRegExp('yarn.lock').test('yarn.lock.bak'));
+        assert.ok(globToRegExp('./docs/**').test('docs/a.md'));
+    });
+
+    test('default excludes skip lockfiles, vendored and generated files', () => {
+        const filter = new PathFilter();
+
+        for (const file of ['package-lock.json', 'web/yarn.lock', 'node_modules/x/index.js', 'dist/app.js', 'app.min.js', 'src/__snapshots__/a.snap']) {
+            assert.ok(!filter.isCounted(file), file);
+        }
+        assert.ok(filter.isCounted('src/app.js'));
+        assert.ok(filter.isActive());
+    });
+
+    test('include and exclude paths narrow the counted files', () => {
+        const filter = new PathFilter({ includePaths: ['src/**'], excludePaths: ['*.svg'], defaultExcludes: false });
+
+        assert.ok(filter.isCounted('src/app.js'));
+        assert.ok(!filter.isCounted('src/logo.svg'));
+        assert.ok(!filter.isCounted('lib/app.js'));
+        assert.ok(!new PathFilter({ defaultExcludes: false }).isActive());
+    });
+
+    test('countLines sums the counted files, and keeps totals without a file list', () => {
+        const filter = new PathFilter();
+        const stats = {
+            additions: 510,
+            deletions: 3,
+            files: [
+                { filename: 'src/app.js', additions: 10, deletions: 3 },
+                { filename: 'package-lock.json', additions: 500, deletions: 0 }
+            ]
+        };
+
+        assert.deepStrictEqual(filter.countLines(stats), { additions: 10, deletions: 3 });
+        assert.deepStrictEqual(filter.countLines({ additions: 7, deletions: 1 }), { additions: 7, deletions: 1 });
+        assert.deepStrictEqual(new PathFilter({ defaultExcludes: false }).countLines(stats), { additions: 510, deletions: 3 });
+    });
+});
+
+describe('GitHubDevTracker.resolveCommitStats', () => {
+    /**
+     * Tracker whose GraphQL batch and REST calls are recorded instead of sent
+     */
+    function createTracker(options) {
+        const tracker = new GitHubDevTracker('org', 'repo', 'token', { client: { pool: { map: (items, fn) => Promise.all(items.map(fn)) } }, ...options });
+        const calls = { graphql: 0, rest: 0 };
+        tracker.getCommitStatsBatch = async (shas) => {
+            calls.graphql++;
+            return new Map(shas.map(sha => [sha, { additions: 501, deletions: 0 }]));
+        };
+        tracker.fetchCommitStats = async () => {
+            calls.rest++;
+            return {
+                additions: 501,
+                deletions: 0,
+                files: [
+                    { filename: 'a.js', additions: 1, deletions: 0 },
+                    { filename: 'package-lock.json', additions: 500, deletions: 0 }
+                ]
+            };
+        };
+        return { tracker, calls };
+    }
+
+    test('default excludes are applied to every commit', async () => {
+        for (const useGraphQL of [false, true]) {
+            const { tracker, calls } = createTracker({ useGraphQL });
+
+            const statsBySha = await tracker.resolveCommitStats([{ sha: 'a' }, { sha: 'b' }]);
+
+            assert.deepStrictEqual(calls, { graphql: 0, rest: 2 });
+            assert.deepStrictEqual(tracker.pathFilter.countLines(statsBySha.get('a')), { additions: 1, deletions: 0 });
+        }
+    });
+
+    test('custom path rules and components fetch per-file stats with GraphQL on', async () => {
+        const rules = createTracker({ useGraphQL: true, defaultExcludes: false, excludePaths: ['docs/**'] });
+        await rules.tracker.resolveCommitStats([{ sha: 'a' }, { sha: 'b' }]);
+        assert.deepStrictEqual(rules.calls, { graphql: 0, rest: 2 });
+
+        const components = createTracker({ useGraphQL: true, defaultExcludes: false, components: ['packages/*'] });
+        await components.tracker.loadComponents();
+        await components.tracker.resolveCommitStats([{ sha: 'a' }, { sha: 'b' }]);
+        assert.deepStrictEqual(components.calls, { graphql: 0, rest: 2 });
+    });
+
+    test('GraphQL totals only without path rules or components', async () => {
+        const { tracker, calls } = createTracker({ useGraphQL: true, defaultExcludes: false });
+
+        const statsBySha = await tracker.resolveCommitStats([{ sha: 'a' }, { sha: 'b' }]);
+
+        assert.deepStrictEqual(calls, { graphql: 1, rest: 0 });
+        assert.deepStrictEqual(statsBySha.get('a'), { additions: 501, deletions: 0 });
+    });
+
+    test('stored totals are fetched again when per-file counts are needed', async () => {
+        const stored = new Map([['a', { additions: 501, deletions: 0 }]]);
+        const store = { getStats: (repo, sha) => stored.get(sha), setStats: (repo, sha, stats) => stored.set(sha, stats), save: async () => {} };
+        const { tracker, calls } = createTracker({ store });
+
+        await tracker.resolveCommitStats([{ sha: 'a' }]);
+        await tracker.resolveCommitStats([{ sha: 'a' }]);
+
+        assert.deepStrictEqual(calls, { graphql: 0, rest: 1 });
+        assert.ok(stored.get('a').files);
+    });
+});
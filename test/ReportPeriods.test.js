@@ -0,0 +1,131 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    resolveTimeZone, formatDate, parseDate, customPeriod, isCustomPeriod, isValidPeriod,
+    getPeriodRange, getCoveringRange, getPeriodLabel, getPeriodKind, getReportFileName, describePeriod
+} = require('../src/ReportPeriods');
+
+const iso = date => date.toISOString();
+
+describe('ReportPeriods', () => {
+    test('resolveTimeZone accepts IANA names and rejects unknown zones', () => {
+        assert.strictEqual(resolveTimeZone('Asia/Kolkata'), 'Asia/Kolkata');
+        assert.ok(resolveTimeZone());
+        assert.throws(() => resolveTimeZone('Mars/Olympus'), /Invalid timezone "Mars\/Olympus"/);
+    });
+
+    test('formatDate uses the calendar day of the report timezone', () => {
+        const instant = new Date('2024-10-08T20:00:00Z');
+        assert.strictEqual(formatDate(instant, 'UTC'), '2024-10-08');
+        assert.strictEqual(formatDate(instant, 'Asia/Kolkata'), '2024-10-09');
+        assert.strictEqual(formatDate(instant, 'America/New_York'), '2024-10-08');
+    });
+
+    test('parseDate reads a day in the report timezone and rejects invalid days', () => {
+        assert.strictEqual(iso(parseDate('2024-10-08', 'Asia/Kolkata')), '2024-10-08T06:30:00.000Z');
+        assert.strictEqual(parseDate('2024-02-30', 'UTC'), null);
+        assert.strictEqual(parseDate('not a date', 'UTC'), null);
+        assert.strictEqual(iso(parseDate('2024-10-08T10:00:00Z', 'UTC')), '2024-10-08T10:00:00.000Z');
+    });
+
+    test('daily, weekly and monthly windows end on the given day', () => {
+        const date = parseDate('2024-10-08', 'UTC');
+
+        const daily = getPeriodRange('daily', date, 'UTC');
+        assert.strictEqual(iso(daily.since), '2024-10-08T00:00:00.000Z');
+        assert.strictEqual(iso(daily.until), '2024-10-09T00:00:00.000Z');
+
+        const weekly = getPeriodRange('weekly', date, 'UTC');
+        assert.strictEqual(iso(weekly.since), '2024-10-01T00:00:00.000Z');
+        assert.strictEqual(iso(weekly.until), '2024-10-08T23:59:59.999Z');
+
+        const monthly = getPeriodRange('monthly', date, 'UTC');
+        assert.strictEqual(iso(monthly.since), '2024-09-08T00:00:00.000Z');
+        assert.strictEqual(iso(monthly.until), '2024-10-08T23:59:59.999Z');
+    });
+
+    test('windows start at midnight in the report timezone', () => {
+        const date = parseDate('2024-10-08', 'Asia/Kolkata');
+        const { since, until } = getPeriodRange('weekly', date, 'Asia/Kolkata');
+
+        assert.strictEqual(iso(since), '2024-09-30T18:30:00.000Z');
+        assert.strictEqual(iso(until), '2024-10-08T18:29:59.999Z');
+    });
+
+    test('days next to a DST change keep their wall-clock midnight', () => {
+        // Clocks went forward on 2024-03-10 in New York (23 hour day)
+        const { since, until } = getPeriodRange('daily', parseDate('2024-03-10', 'America/New_York'), 'America/New_York');
+
+        assert.strictEqual(iso(since), '2024-03-10T05:00:00.000Z');
+        assert.strictEqual(iso(until), '2024-03-11T04:00:00.000Z');
+    });
+
+    test('calendar periods cover the ISO week, month, quarter and year of the date', () => {
+        const date = parseDate('2024-10-09', 'UTC');
+        const range = period => {
+            const { since, until } = getPeriodRange(period, date, 'UTC');
+            return [iso(since), iso(until)];
+        };
+
+        assert.deepStrictEqual(range('week'), ['2024-10-07T00:00:00.000Z', '2024-10-13T23:59:59.999Z']);
+        assert.deepStrictEqual(range('month'), ['2024-10-01T00:00:00.000Z', '2024-10-31T23:59:59.999Z']);
+        assert.deepStrictEqual(range('quarter'), ['2024-10-01T00:00:00.000Z', '2024-12-31T23:59:59.999Z']);
+        assert.deepStrictEqual(range('year'), ['2024-01-01T00:00:00.000Z', '2024-12-31T23:59:59.999Z']);
+    });
+
+    test('custom ranges include both days', () => {
+        const { since, until } = getPeriodRange('2024-07-01..2024-09-30', null, 'UTC');
+
+        assert.strictEqual(iso(since), '2024-07-01T00:00:00.000Z');
+        assert.strictEqual(iso(until), '2024-09-30T23:59:59.999Z');
+        assert.strictEqual(customPeriod(since, until, 'UTC'), '2024-07-01..2024-09-30');
+    });
+
+    test('isValidPeriod accepts known periods and ordered custom ranges', () => {
+        for (const period of ['daily', 'weekly', 'monthly', 'week', 'month', 'quarter', 'year', '2024-07-01..2024-09-30', 'sprint:2024-07-01..2024-07-14']) {
+            assert.ok(isValidPeriod(period), period);
+        }
+        for (const period of ['sprint', 'fortnight', '2024-09-30..2024-07-01', '2024-02-30..2024-03-01', '2024-07-01']) {
+            assert.ok(!isValidPeriod(period), period);
+        }
+        assert.ok(isCustomPeriod('sprint:2024-07-01..2024-07-14'));
+        assert.ok(!isCustomPeriod('weekly'));
+    });
+
+    test('getCoveringRange spans every period', () => {
+        const date = parseDate('2024-10-08', 'UTC');
+        const { since, until } = getCoveringRange(['daily', 'weekly', 'monthly'], date, 'UTC');
+
+        assert.strictEqual(iso(since), '2024-09-08T00:00:00.000Z');
+        assert.strictEqual(iso(until), '2024-10-09T00:00:00.000Z');
+    });
+
+    test('labels, kinds and file names', () => {
+        const date = parseDate('2024-12-30', 'UTC');
+
+        assert.strictEqual(getPeriodLabel('daily', date, 'UTC'), '2024-12-30');
+        assert.strictEqual(getPeriodLabel('week', date, 'UTC'), '2025-W01');
+        assert.strictEqual(getPeriodLabel('month', date, 'UTC'), '2024-12');
+        assert.strictEqual(getPeriodLabel('quarter', date, 'UTC'), '2024-Q4');
+        assert.strictEqual(getPeriodLabel('year', date, 'UTC'), '2024');
+        assert.strictEqual(getPeriodLabel('2024-07-01..2024-09-30', date, 'UTC'), '2024-07-01_to_2024-09-30');
+
+        assert.strictEqual(getPeriodKind('weekly'), 'weekly');
+        assert.strictEqual(getPeriodKind('2024-07-01..2024-09-30'), 'custom');
+        assert.strictEqual(getPeriodKind('sprint:2024-07-01..2024-07-14'), 'sprint');
+
+        assert.strictEqual(getReportFileName('weekly', date, 'UTC', 'multi_repo_'), 'multi_repo_weekly_report_2024-12-30.json');
+        assert.strictEqual(getReportFileName('quarter', date, 'UTC'), 'quarter_report_2024-Q4.json');
+        assert.strictEqual(getReportFileName('sprint:2024-07-01..2024-07-14', date, 'UTC'), 'sprint_report_2024-07-01_to_2024-07-14.json');
+    });
+
+    test('describePeriod names the window and the timezone', () => {
+        const date = parseDate('2024-10-08', 'UTC');
+
+        assert.strictEqual(describePeriod('weekly', date, 'UTC'), 'WEEKLY REPORT (Last 7 Days) - 2024-10-01 to 2024-10-08 (UTC)');
+        assert.strictEqual(describePeriod('month', date, 'UTC'), 'MONTH REPORT (October 2024) - 2024-10-01 to 2024-10-31 (UTC)');
+        assert.strictEqual(describePeriod('daily', date, 'UTC'), 'DAILY REPORT - 2024-10-08 (UTC)');
+        assert.strictEqual(describePeriod('2024-07-01..2024-09-30', date, 'UTC'), 'CUSTOM REPORT - 2024-07-01 to 2024-09-30 (UTC)');
+    });
+});
@@ -0,0 +1,112 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SprintCalendar = require('../src/SprintCalendar');
+
+const noon = day => new Date(`${day}T12:00:00Z`);
+
+function writeSprints(sprints) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sprints-'));
+    const file = path.join(dir, 'sprints.json');
+    fs.writeFileSync(file, typeof sprints === 'string' ? sprints : JSON.stringify(sprints));
+    return file;
+}
+
+describe('SprintCalendar cadence', () => {
+    const calendar = new SprintCalendar({ sprintStart: '2024-10-07', sprintLength: 14, timeZone: 'UTC' });
+
+    test('numbers sprints from the anchor', async () => {
+        assert.deepStrictEqual(await calendar.findSprint('current', noon('2024-10-07')), {
+            name: 'Sprint 1', start: '2024-10-07', end: '2024-10-20', period: 'sprint:2024-10-07..2024-10-20'
+        });
+        assert.strictEqual((await calendar.findSprint('current', noon('2024-10-20'))).name, 'Sprint 1');
+        assert.strictEqual((await calendar.findSprint('current', noon('2024-10-21'))).name, 'Sprint 2');
+    });
+
+    test('previous is one sprint back', async () => {
+        const sprint = await calendar.findSprint('previous', noon('2024-10-25'));
+        assert.strictEqual(sprint.name, 'Sprint 1');
+        assert.strictEqual(sprint.period, 'sprint:2024-10-07..2024-10-20');
+    });
+
+    test('sprints before the anchor are named by their start', async () => {
+        const sprint = await calendar.findSprint('current', noon('2024-10-01'));
+        assert.deepStrictEqual([sprint.name, sprint.start, sprint.end], ['Sprint starting 2024-09-23', '2024-09-23', '2024-10-06']);
+    });
+
+    test('uses the report timezone for today', async () => {
+        const kolkata = new SprintCalendar({ sprintStart: '2024-10-07', sprintLength: 7, timeZone: 'Asia/Kolkata' });
+        // 20:00 UTC on Sunday is already Monday in Kolkata
+        const sprint = await kolkata.findSprint('current', new Date('2024-10-13T20:00:00Z'));
+        assert.strictEqual(sprint.name, 'Sprint 2');
+    });
+
+    test('no cadence and no list finds nothing', async () => {
+        const empty = new SprintCalendar();
+        assert.strictEqual(await empty.findSprint('current'), null);
+        assert.strictEqual(empty.isConfigured(), false);
+    });
+
+    test('rejects an invalid anchor or length', async () => {
+        await assert.rejects(new SprintCalendar({ sprintStart: '2024-13-07' }).load(), /Invalid sprint start/);
+        await assert.rejects(new SprintCalendar({ sprintStart: '2024-10-07', sprintLength: 1.5 }).load(), /Invalid sprint length/);
+    });
+});
+
+describe('SprintCalendar sprint list', () => {
+    const sprintsPath = writeSprints([
+        { name: 'Sprint 43', start: '2024-10-21', end: '2024-11-01' },
+        { name: 'Sprint 42', start: '2024-10-07', end: '2024-10-18' },
+        { start: '2024-11-04', end: '2024-11-15' }
+    ]);
+
+    test('wins over the cadence and is sorted by start', async () => {
+        const calendar = new SprintCalendar({ sprintStart: '2024-01-01', sprintsPath, timeZone: 'UTC' });
+
+        assert.strictEqual((await calendar.findSprint('current', noon('2024-10-10'))).name, 'Sprint 42');
+        assert.strictEqual((await calendar.findSprint('previous', noon('2024-10-22'))).name, 'Sprint 42');
+        assert.strictEqual((await calendar.findSprint('current', noon('2024-11-05'))).name, '2024-11-04 to 2024-11-15');
+    });
+
+    test('between two sprints, the last one that started is current', async () => {
+        const calendar = new SprintCalendar({ sprintsPath, timeZone: 'UTC' });
+
+        assert.strictEqual((await calendar.findSprint('current', noon('2024-10-19'))).name, 'Sprint 42');
+        assert.strictEqual(await calendar.findSprint('current', noon('2024-10-01')), null);
+        assert.strictEqual(await calendar.findSprint('previous', noon('2024-10-10')), null);
+    });
+
+    test('selects a sprint by name', async () => {
+        const calendar = new SprintCalendar({ sprintsPath });
+
+        assert.strictEqual((await calendar.findSprint('Sprint 43')).period, 'sprint:2024-10-21..2024-11-01');
+        assert.strictEqual(await calendar.findSprint('Sprint 99'), null);
+    });
+
+    test('only current and previous are shortcuts, not object prototype keys', async () => {
+        const calendar = new SprintCalendar({ sprintStart: '2024-10-07', sprintsPath });
+
+        for (const which of ['toString', 'constructor', 'hasOwnProperty', '__proto__']) {
+            assert.strictEqual(await calendar.findSprint(which, noon('2024-10-10')), null, which);
+        }
+        assert.deepStrictEqual(SprintCalendar.SHORTCUTS, ['current', 'previous']);
+    });
+
+    test('a missing file falls back to the cadence', async () => {
+        const calendar = new SprintCalendar({ sprintStart: '2024-10-07', sprintsPath: path.join(os.tmpdir(), 'no-such-sprints.json') });
+
+        assert.strictEqual((await calendar.findSprint('current', noon('2024-10-07'))).name, 'Sprint 1');
+    });
+
+    test('rejects malformed files and sprints', async () => {
+        await assert.rejects(new SprintCalendar({ sprintsPath: writeSprints('{ nope') }).load(), /Invalid sprints file/);
+        await assert.rejects(new SprintCalendar({ sprintsPath: writeSprints({ start: '2024-10-07' }) }).load(), /expected a list/);
+        await assert.rejects(
+            new SprintCalendar({ sprintsPath: writeSprints([{ start: '2024-10-18', end: '2024-10-07' }]) }).load(),
+            /Invalid sprint/
+        );
+    });
+});
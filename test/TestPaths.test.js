@@ -0,0 +1,118 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const TestPaths = require('../src/TestPaths');
+const GitHubDevTracker = require('../src/GitHubDevTracker');
+
+const commit = (sha, message = 'Add login') => ({
+    sha,
+    parents: [{ sha: 'p' }],
+    author: { login: 'alice', type: 'User' },
+    commit: { message, author: { name: 'Alice', email: 'alice@example.com' } }
+});
+
+describe('TestPaths', () => {
+    test('default patterns match common test layouts', () => {
+        const paths = new TestPaths();
+
+        for (const file of ['src/__tests__/login.js', 'test/unit.js', 'pkg/tests/a.py', 'login.spec.ts', 'api_test.go', 'test_api.py', 'LoginTest.java', 'Token.t.sol']) {
+            assert.strictEqual(paths.isTest(file), true, file);
+        }
+        for (const file of ['src/login.js', 'src/testing.js', 'contest/entry.js', 'latest.md']) {
+            assert.strictEqual(paths.isTest(file), false, file);
+        }
+    });
+
+    test('configured patterns replace the defaults', () => {
+        const paths = new TestPaths({ testPaths: 'checks/**, *.check.js' });
+
+        assert.strictEqual(paths.isTest('checks/a.js'), true);
+        assert.strictEqual(paths.isTest('src/a.check.js'), true);
+        assert.strictEqual(paths.isTest('test/a.js'), false);
+    });
+});
+
+describe('test ratio', () => {
+    test('test lines added per production line added', () => {
+        const data = { testLines: { additions: 45, deletions: 3 }, productionLines: { additions: 100, deletions: 9 } };
+
+        assert.strictEqual(TestPaths.getTestRatio(data), 0.45);
+        assert.strictEqual(TestPaths.formatTestRatio(data), '0.45');
+    });
+
+    test('no production lines has no ratio', () => {
+        assert.strictEqual(TestPaths.getTestRatio({ testLines: { additions: 5 }, productionLines: { additions: 0 } }), null);
+        assert.strictEqual(TestPaths.formatTestRatio({ testLines: { additions: 5 }, productionLines: { additions: 0 } }), 'tests only');
+        assert.strictEqual(TestPaths.formatTestRatio({}), '-');
+    });
+
+    test('sumTestLines adds every kind over developers', () => {
+        const stats = {
+            alice: { testLines: { additions: 1, deletions: 1 }, productionLines: { additions: 2, deletions: 0 }, unclassifiedLines: { additions: 7, deletions: 2 } },
+            bob: { testLines: { additions: 3, deletions: 0 }, productionLines: { additions: 4, deletions: 1 } }
+        };
+
+        assert.deepStrictEqual(TestPaths.sumTestLines(stats), {
+            testLines: { additions: 4, deletions: 1 },
+            productionLines: { additions: 6, deletions: 1 },
+            unclassifiedLines: { additions: 7, deletions: 2 }
+        });
+    });
+
+    test('hasLines counts unclassified lines too', () => {
+        assert.strictEqual(TestPaths.hasLines(TestPaths.sumTestLines({})), false);
+        assert.strictEqual(TestPaths.hasLines({ unclassifiedLines: { additions: 3, deletions: 0 } }), true);
+    });
+});
+
+describe('GitHubDevTracker.buildDevStats test lines', () => {
+    const tracker = new GitHubDevTracker('org', 'repo', 'token', { client: {} });
+
+    test('splits commits with per-file counts into test and production lines', () => {
+        const statsBySha = new Map([['a', {
+            additions: 30,
+            deletions: 2,
+            files: [
+                { filename: 'src/login.js', additions: 20, deletions: 2 },
+                { filename: 'src/login.test.js', additions: 10, deletions: 0 }
+            ]
+        }]]);
+
+        const { alice } = tracker.buildDevStats([commit('a')], statsBySha);
+
+        assert.deepStrictEqual(alice.testLines, { additions: 10, deletions: 0 });
+        assert.deepStrictEqual(alice.productionLines, { additions: 20, deletions: 2 });
+        assert.deepStrictEqual(alice.unclassifiedLines, { additions: 0, deletions: 0 });
+    });
+
+    test('default settings classify every commit, so the ratio is known', async () => {
+        const tracker = new GitHubDevTracker('org', 'repo', 'token', { client: { pool: { map: (items, fn) => Promise.all(items.map(fn)) } } });
+        tracker.getCommitStatsBatch = async () => assert.fail('GraphQL totals have no files');
+        tracker.fetchCommitStats = async () => ({
+            additions: 30,
+            deletions: 0,
+            files: [
+                { filename: 'src/login.js', additions: 20, deletions: 0 },
+                { filename: 'src/login.test.js', additions: 10, deletions: 0 }
+            ]
+        });
+
+        const { alice } = tracker.buildDevStats([commit('a')], await tracker.resolveCommitStats([commit('a')]));
+
+        assert.deepStrictEqual(alice.unclassifiedLines, { additions: 0, deletions: 0 });
+        assert.strictEqual(TestPaths.getTestRatio(alice), 0.5);
+    });
+
+    test('keeps lines of commits without per-file counts as unclassified', () => {
+        const statsBySha = new Map([
+            ['a', { additions: 10, deletions: 0, files: [{ filename: 'test/a.js', additions: 10, deletions: 0 }] }],
+            ['b', { additions: 40, deletions: 5 }]
+        ]);
+
+        const { alice } = tracker.buildDevStats([commit('a'), commit('b')], statsBySha);
+
+        assert.deepStrictEqual(alice.unclassifiedLines, { additions: 40, deletions: 5 });
+        assert.strictEqual(alice.testLines.additions + alice.productionLines.additions + alice.unclassifiedLines.additions, alice.additions);
+        assert.strictEqual(TestPaths.getTestRatio(alice), null);
+    });
+});
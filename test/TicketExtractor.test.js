@@ -0,0 +1,80 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const TicketExtractor = require('../src/TicketExtractor');
+
+describe('TicketExtractor defaults', () => {
+    const extractor = new TicketExtractor();
+
+    test('finds Jira keys and GitHub issues in order of appearance', () => {
+        assert.deepStrictEqual(extractor.extract('PROJ-12: fix login, closes #45 and WEB2-7'), ['PROJ-12', '#45', 'WEB2-7']);
+    });
+
+    test('drops duplicates', () => {
+        assert.deepStrictEqual(extractor.extract('PROJ-1 part 2\n\nFollow-up to PROJ-1, see #3 #3'), ['PROJ-1', '#3']);
+    });
+
+    test('skips names that look like Jira keys', () => {
+        assert.deepStrictEqual(extractor.extract('Read files as UTF-8, hash with SHA-256 per RFC-7231'), []);
+        assert.deepStrictEqual(extractor.extract('Patch CVE-2024 in AUTH-9'), ['AUTH-9']);
+    });
+
+    test('ignores pull request numbers written by GitHub', () => {
+        assert.deepStrictEqual(extractor.extract('Add login (#12)'), []);
+        assert.deepStrictEqual(extractor.extract('Merge pull request #12 from org/feature\n\nPROJ-3'), ['PROJ-3']);
+        assert.deepStrictEqual(extractor.extract('PROJ-4 add login (#12)\n\nFixes #9'), ['PROJ-4', '#9']);
+    });
+
+    test('handles messages without tickets', () => {
+        assert.deepStrictEqual(extractor.extract('Tidy up'), []);
+        assert.deepStrictEqual(extractor.extract(''), []);
+        assert.deepStrictEqual(extractor.extract(null), []);
+    });
+
+    test('is reusable across messages', () => {
+        assert.deepStrictEqual(extractor.extract('PROJ-1'), ['PROJ-1']);
+        assert.deepStrictEqual(extractor.extract('PROJ-1'), ['PROJ-1']);
+    });
+});
+
+describe('TicketExtractor custom patterns', () => {
+    test('replace the defaults', () => {
+        const extractor = new TicketExtractor({ ticketPatterns: ['\\bLIN-\\d+\\b'] });
+        assert.deepStrictEqual(extractor.extract('LIN-5 and PROJ-6 and #7'), ['LIN-5']);
+    });
+
+    test('split a comma-separated string, keeping quantifier commas', () => {
+        const extractor = new TicketExtractor({ ticketPatterns: 'T\\d{2,4}, gh-\\d+' });
+        assert.strictEqual(extractor.patterns.length, 2);
+        assert.deepStrictEqual(extractor.extract('gh-1 then T123 and T1'), ['gh-1', 'T123']);
+    });
+
+    test('an empty list or string keeps the defaults', () => {
+        assert.strictEqual(new TicketExtractor({ ticketPatterns: '' }).patterns.length, TicketExtractor.DEFAULT_TICKET_PATTERNS.length);
+        assert.strictEqual(new TicketExtractor({ ticketPatterns: [] }).patterns.length, TicketExtractor.DEFAULT_TICKET_PATTERNS.length);
+    });
+
+    test('zero-length matches do not loop forever', () => {
+        const extractor = new TicketExtractor({ ticketPatterns: ['X*'] });
+        assert.deepStrictEqual(extractor.extract('aXXb'), ['XX']);
+    });
+
+    test('reject invalid regular expressions', () => {
+        assert.throws(() => new TicketExtractor({ ticketPatterns: ['PROJ-(\\d+'] }), /Invalid ticket pattern "PROJ-\(\\d\+"/);
+    });
+});
+
+describe('TicketExtractor.summarize', () => {
+    test('sums tickets over developers', () => {
+        const stats = {
+            alice: { tickets: { 'PROJ-1': { commits: 2, additions: 10, deletions: 1 } } },
+            bob: { tickets: { 'PROJ-1': { commits: 1, additions: 5, deletions: 0 }, '#4': { commits: 1, additions: 1, deletions: 1 } } },
+            carol: {}
+        };
+
+        assert.deepStrictEqual(TicketExtractor.summarize(stats), {
+            'PROJ-1': { commits: 3, additions: 15, deletions: 1, developers: ['alice', 'bob'] },
+            '#4': { commits: 1, additions: 1, deletions: 1, developers: ['bob'] }
+        });
+    });
+});